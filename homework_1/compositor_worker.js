@@ -0,0 +1,41 @@
+// Web worker that composites the layer stack of project1.html off the main thread.
+//
+// Messages from the page:
+//   { type:"layer", id, version, image, mask }
+//       Stores the image and the optional mask of a layer. They are sent only when they change.
+//   { type:"render", job, width, height, linear, from, rect, layers }
+//       Composites the given rectangle of the canvas. The layers are sent without their images.
+// Messages to the page:
+//   { type:"tile", job, x, y, width, height, data }   one composited tile of the rectangle
+//   { type:"done", job }                              all the tiles of the job have been sent
+
+importScripts('project1.js');
+
+var compositor = createStackCompositor();
+var layerImages = {};	// layer id -> { version, image, mask }
+
+onmessage = function(e) {
+	var msg = e.data;
+	switch ( msg.type ) {
+		case "layer":
+			layerImages[ msg.id ] = { version: msg.version, image: msg.image, mask: msg.mask };
+			break;
+		case "render":
+			var layers = msg.layers.map( function(l) {
+				return Object.assign( {}, l, layerImages[ l.id ] );
+			});
+			// Forget the layers that have been removed
+			var ids = {};
+			for ( var i=0; i<layers.length; ++i ) ids[ layers[i].id ] = true;
+			for ( var id in layerImages ) {
+				if ( ! ids[id] ) delete layerImages[id];
+			}
+			forEachTile( msg.rect, tileSize, function(rect) {
+				var tile = compositor.render( layers, msg.width, msg.height, rect, msg.linear, msg.from );
+				var buffer = tile.data.buffer;
+				postMessage( { type:"tile", job:msg.job, x:rect.x, y:rect.y, width:rect.width, height:rect.height, data:buffer }, [ buffer ] );
+			});
+			postMessage( { type:"done", job:msg.job } );
+			break;
+	}
+}
@@ -2,65 +2,821 @@
 // fgImg is the foreground image.
 // fgOpac is the opacity of the foreground image.
 // fgPos is the position of the foreground image in pixels. It can be negative and (0,0) means the top-left pixels of the foreground and background are aligned.
+//   The position can be fractional. fgPos can also be a 3x3 transformation matrix (see layerTransform) that maps foreground pixels onto the background.
+// blendMode is optional and selects one of the blendModes below. When omitted the foreground is simply placed over the background.
+// operator is optional and selects one of the Porter-Duff compositeOperators below. It defaults to "over".
+// filter is optional and selects one of the resampleFilters below. It defaults to "bilinear".
+// origin is optional and gives the position of the top-left background pixel in the coordinates fgPos
+//   is given in, for backgrounds that are a tile of a larger canvas. It defaults to (0,0).
+// The images are either 8-bit sRGB images with straight alpha, such as ImageData, or linear-light
+// float images with premultiplied alpha created by decodeImage. Both can be mixed in the same call,
+// the foreground colors are then converted to the encoding of the background.
 
-function composite(bgImg, fgImg, fgOpac, fgPos) {
+// Separable blend functions. Each one takes the background (cb) and foreground (cs)
+// color channels normalized to [0,1] and returns the blended channel in [0,1].
+var blendModes = {
+  "normal":      (cb, cs) => cs,
+  "multiply":    (cb, cs) => cb * cs,
+  "screen":      (cb, cs) => cb + cs - cb * cs,
+  "overlay":     (cb, cs) => blendModes["hard-light"](cs, cb),
+  "darken":      (cb, cs) => Math.min(cb, cs),
+  "lighten":     (cb, cs) => Math.max(cb, cs),
+  "color-dodge": (cb, cs) => {
+    if (cb === 0) return 0;
+    if (cs === 1) return 1;
+    return Math.min(1, cb / (1 - cs));
+  },
+  "color-burn":  (cb, cs) => {
+    if (cb === 1) return 1;
+    if (cs === 0) return 0;
+    return 1 - Math.min(1, (1 - cb) / cs);
+  },
+  "hard-light":  (cb, cs) => {
+    if (cs <= 0.5) return blendModes["multiply"](cb, 2 * cs);
+    return blendModes["screen"](cb, 2 * cs - 1);
+  },
+  "difference":  (cb, cs) => Math.abs(cb - cs),
+  "add":         (cb, cs) => Math.min(1, cb + cs),
+};
+
+// Porter-Duff operators. Each one returns the fractions of the foreground (fa) and
+// background (fb) that contribute to the result, given the foreground (as) and
+// background (ab) alphas. The output alpha is then as * fa + ab * fb.
+var compositeOperators = {
+  "clear":     { fa: (as, ab) => 0,      fb: (as, ab) => 0 },
+  "copy":      { fa: (as, ab) => 1,      fb: (as, ab) => 0 },
+  "dest":      { fa: (as, ab) => 0,      fb: (as, ab) => 1 },
+  "over":      { fa: (as, ab) => 1,      fb: (as, ab) => 1 - as },
+  "dest-over": { fa: (as, ab) => 1 - ab, fb: (as, ab) => 1 },
+  "in":        { fa: (as, ab) => ab,     fb: (as, ab) => 0 },
+  "dest-in":   { fa: (as, ab) => 0,      fb: (as, ab) => as },
+  "out":       { fa: (as, ab) => 1 - ab, fb: (as, ab) => 0 },
+  "dest-out":  { fa: (as, ab) => 0,      fb: (as, ab) => 1 - as },
+  "atop":      { fa: (as, ab) => ab,     fb: (as, ab) => 1 - as },
+  "dest-atop": { fa: (as, ab) => 1 - ab, fb: (as, ab) => as },
+  "xor":       { fa: (as, ab) => 1 - ab, fb: (as, ab) => 1 - as },
+};
+
+// Returns a 3x3 transformation matrix as an array of 9 values in column-major order,
+// the same layout GetTransform uses for the UAV in project 2.
+// The layer is scaled and rotated (in degrees) around its center, then its top-left
+// corner is moved to pos. pos.x and pos.y can be fractional.
+function layerTransform(pos, rotation, scale, width, height) {
+  const radians = rotation * Math.PI / 180;
+  const cosTheta = Math.cos(radians);
+  const sinTheta = Math.sin(radians);
+  const cx = width / 2;
+  const cy = height / 2;
+  
+  return [
+    scale * cosTheta, scale * sinTheta, 0, // first column
+    -scale * sinTheta, scale * cosTheta, 0, // second column
+    pos.x + cx - scale * (cosTheta * cx - sinTheta * cy), // third column
+    pos.y + cy - scale * (sinTheta * cx + cosTheta * cy),
+    1
+  ];
+}
+
+// Returns the inverse of a 3x3 affine transformation matrix in column-major order,
+// or null if the matrix cannot be inverted.
+function invertTransform(m) {
+  const det = m[0] * m[4] - m[3] * m[1];
+  if (det === 0 || !isFinite(det)) return null;
+  
+  return [
+    m[4] / det, -m[1] / det, 0,
+    -m[3] / det, m[0] / det, 0,
+    (m[3] * m[7] - m[4] * m[6]) / det, (m[1] * m[6] - m[0] * m[7]) / det, 1
+  ];
+}
+
+// Returns the smallest rectangle of whole pixels, as { x, y, width, height }, that contains
+// the rectangle of an image of the given size transformed by trans, grown by pad pixels.
+function transformedBounds(trans, width, height, pad) {
+  const corners = [
+    [-pad, -pad], [width + pad, -pad],
+    [-pad, height + pad], [width + pad, height + pad]
+  ];
+  let left = Infinity, right = -Infinity, top = Infinity, bottom = -Infinity;
+  for (const [x, y] of corners) {
+    const tx = trans[0] * x + trans[3] * y + trans[6];
+    const ty = trans[1] * x + trans[4] * y + trans[7];
+    left = Math.min(left, tx);
+    right = Math.max(right, tx);
+    top = Math.min(top, ty);
+    bottom = Math.max(bottom, ty);
+  }
+  left = Math.floor(left);
+  top = Math.floor(top);
+  return { x: left, y: top, width: Math.ceil(right) - left, height: Math.ceil(bottom) - top };
+}
+
+// Resampling filters. Each one has a radius in pixels and a weight function that
+// returns the contribution of a pixel at distance t from the sample position.
+// The weights of all the pixels within the radius sum up to one.
+var resampleFilters = {
+  "nearest":  { radius: 0.5, weight: (t) => (t >= -0.5 && t < 0.5) ? 1 : 0 },
+  "bilinear": { radius: 1,   weight: (t) => Math.max(0, 1 - Math.abs(t)) },
+  "bicubic":  { radius: 2,   weight: (t) => {
+    // Catmull-Rom spline, which passes through the pixel values
+    t = Math.abs(t);
+    if (t < 1) return 1.5 * t * t * t - 2.5 * t * t + 1;
+    if (t < 2) return -0.5 * t * t * t + 2.5 * t * t - 4 * t + 2;
+    return 0;
+  } },
+};
+
+// Samples img at the continuous pixel coordinates (u,v), where integer coordinates are
+// pixel centers. Pixels outside of the image are fully transparent.
+// The colors are filtered with premultiplied alpha, so that transparent pixels do not
+// bleed into the edges. The result is written to out as [r, g, b, alpha], where r, g, b
+// are straight colors and all four values are in [0,1].
+function sampleImage(img, u, v, filter, out) {
+  // Linear images already hold premultiplied values in [0,1]
+  const scale = img.linear ? 1 : 255;
+
+  const x0 = Math.max(0, Math.ceil(u - filter.radius));
+  const x1 = Math.min(img.width - 1, Math.floor(u + filter.radius));
+  const y0 = Math.max(0, Math.ceil(v - filter.radius));
+  const y1 = Math.min(img.height - 1, Math.floor(v + filter.radius));
+  
+  let r = 0, g = 0, b = 0, a = 0;
+  for (let y = y0; y <= y1; y++) {
+    const wy = filter.weight(v - y);
+    if (wy === 0) continue;
+    for (let x = x0; x <= x1; x++) {
+      const w = wy * filter.weight(u - x);
+      if (w === 0) continue;
+      const i = (y * img.width + x) * 4;
+      const wa = w * img.data[i + 3] / scale;
+      const wc = img.linear ? w : wa;
+      r += img.data[i] * wc;
+      g += img.data[i + 1] * wc;
+      b += img.data[i + 2] * wc;
+      a += wa;
+    }
+  }
+  
+  // Bicubic filtering can overshoot, so clamp the results
+  if (a <= 0) {
+    out[0] = out[1] = out[2] = out[3] = 0;
+    return;
+  }
+  out[0] = Math.min(1, Math.max(0, r / a / scale));
+  out[1] = Math.min(1, Math.max(0, g / a / scale));
+  out[2] = Math.min(1, Math.max(0, b / a / scale));
+  out[3] = Math.min(1, a);
+}
+
+// Returns a copy of img whose alpha is multiplied by the grayscale mask image.
+// White mask pixels keep the image, black or transparent ones hide it.
+// The mask is stretched to the size of the image if their sizes differ.
+function applyMask(img, mask) {
+  const out = { data: img.data.slice(), width: img.width, height: img.height };
+  const sx = mask.width / img.width;
+  const sy = mask.height / img.height;
+  const filter = resampleFilters["bilinear"];
+  const maskPixel = [0, 0, 0, 0];
+  
+  for (let y = 0; y < img.height; y++) {
+    for (let x = 0; x < img.width; x++) {
+      const i = (y * img.width + x) * 4;
+      sampleImage(mask, (x + 0.5) * sx - 0.5, (y + 0.5) * sy - 0.5, filter, maskPixel);
+      const luminance = 0.299 * maskPixel[0] + 0.587 * maskPixel[1] + 0.114 * maskPixel[2];
+      out.data[i + 3] = Math.round(out.data[i + 3] * luminance * maskPixel[3]);
+    }
+  }
+  return out;
+}
+
+// Converts an sRGB encoded color channel in [0,1] to linear light and back.
+function srgbToLinear(v) {
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(v) {
+  return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+// Linear values of the 256 possible 8-bit sRGB values
+var srgbDecodeTable = new Float32Array(256).map((v, i) => srgbToLinear(i / 255));
+
+// Returns an empty (fully transparent) linear-light image of the given size.
+function createLinearImage(width, height) {
+  return { data: new Float32Array(width * height * 4), width: width, height: height, linear: true };
+}
+
+// Decodes an 8-bit sRGB image with straight alpha into a linear-light float image with
+// premultiplied alpha, which is what composite blends correctly.
+function decodeImage(img) {
+  const out = createLinearImage(img.width, img.height);
+  for (let i = 0; i < img.data.length; i += 4) {
+    const alpha = img.data[i + 3] / 255;
+    out.data[i] = srgbDecodeTable[img.data[i]] * alpha;
+    out.data[i + 1] = srgbDecodeTable[img.data[i + 1]] * alpha;
+    out.data[i + 2] = srgbDecodeTable[img.data[i + 2]] * alpha;
+    out.data[i + 3] = alpha;
+  }
+  return out;
+}
+
+// Encodes a linear-light image back to 8-bit sRGB with straight alpha.
+// The result is written to out, which must have the same size, or to a new image.
+function encodeImage(img, out) {
+  out = out || { data: new Uint8ClampedArray(img.data.length), width: img.width, height: img.height };
+  for (let i = 0; i < img.data.length; i += 4) {
+    const alpha = img.data[i + 3];
+    for (let c = 0; c < 3; c++) {
+      const v = alpha > 0 ? img.data[i + c] / alpha : 0;
+      out.data[i + c] = Math.round(linearToSrgb(Math.min(1, Math.max(0, v))) * 255);
+    }
+    out.data[i + 3] = Math.round(alpha * 255);
+  }
+  return out;
+}
+
+function composite(bgImg, fgImg, fgOpac, fgPos, blendMode = "normal", operator = "over", filter = "bilinear", origin = { x: 0, y: 0 }) {
     // Check if the background image is valid
     if (!bgImg || !bgImg.data || !bgImg.width || !bgImg.height) {
       throw new Error("Invalid background image");
     }   
+    const blend = blendModes[blendMode];
+    if (!blend) {
+      throw new Error("Unknown blend mode: " + blendMode);
+    }
+    const op = compositeOperators[operator];
+    if (!op) {
+      throw new Error("Unknown composite operator: " + operator);
+    }
+    const resample = resampleFilters[filter];
+    if (!resample) {
+      throw new Error("Unknown resample filter: " + filter);
+    }
+    
+    // Operators that keep the background where the foreground is transparent only
+    // need to touch the pixels under the foreground. The others (in, out, copy, ...)
+    // also change the background outside of the foreground image.
+    const bounded = op.fb(0, 1) === 1;
+    
     // If opacity is 0, no need to do anything
-    if (fgOpac === 0) return;
+    if (fgOpac === 0 && bounded) return;
     
-    // For each pixel in the foreground image
-    for (let fgY = 0; fgY < fgImg.height; fgY++) {
-      // Calculate the corresponding Y position on the background
-      const bgY = fgY + fgPos.y;
-      
-      // if this row is outside the background image bounds, skip it
-      if (bgY < 0 || bgY >= bgImg.height) continue;
-      
-      for (let fgX = 0; fgX < fgImg.width; fgX++) {
-        // Calculate the corresponding X position on the background
-        const bgX = fgX + fgPos.x;
-        
-        // if this column is outside the background image bounds, skip it
-        if (bgX < 0 || bgX >= bgImg.width) continue;
+    // The transformation from foreground to background pixel coordinates and its inverse,
+    // which tells us where to sample the foreground for each background pixel
+    const trans = Array.isArray(fgPos) ? fgPos : [1, 0, 0, 0, 1, 0, fgPos.x, fgPos.y, 1];
+    const inv = invertTransform(trans);
+    
+    // A foreground that collapses to nothing is fully transparent everywhere
+    if (!inv && bounded) return;
+    
+    // The range of background rows and columns we have to visit.
+    // The foreground covers the transformed rectangle of its pixels, grown by the filter radius.
+    let minX = 0, maxX = bgImg.width, minY = 0, maxY = bgImg.height;
+    if (bounded) {
+      const b = transformedBounds(trans, fgImg.width, fgImg.height, resample.radius - 0.5);
+      minX = Math.max(minX, b.x - origin.x);
+      maxX = Math.min(maxX, b.x + b.width - origin.x);
+      minY = Math.max(minY, b.y - origin.y);
+      maxY = Math.min(maxY, b.y + b.height - origin.y);
+    }
+    
+    // The resampled foreground pixel
+    const fgPixel = [0, 0, 0, 0];
+    
+    // Linear backgrounds store premultiplied floats instead of straight 8-bit values
+    const bgLinear = !!bgImg.linear;
+    const bgScale = bgLinear ? 1 : 255;
+    const convert = !!fgImg.linear !== bgLinear;
+    
+    for (let bgY = minY; bgY < maxY; bgY++) {
+      for (let bgX = minX; bgX < maxX; bgX++) {
+        // Calculate the corresponding position on the foreground, mapping pixel centers
+        // For an integer fgPos this lands exactly on the foreground pixel centers
+        if (inv) {
+          const cx = bgX + origin.x + 0.5;
+          const cy = bgY + origin.y + 0.5;
+          const fgX = inv[0] * cx + inv[3] * cy + inv[6] - 0.5;
+          const fgY = inv[1] * cx + inv[4] * cy + inv[7] - 0.5;
+          sampleImage(fgImg, fgX, fgY, resample, fgPixel);
+          if (convert) {
+            for (let c = 0; c < 3; c++) {
+              fgPixel[c] = bgLinear ? srgbToLinear(fgPixel[c]) : linearToSrgb(fgPixel[c]);
+            }
+          }
+        } else {
+          fgPixel[3] = 0;
+        }
         
         // RGBA format is 4 bytes per pixel (R, G, B, A)
-        // Calculate the index for the background and foreground images
+        // Calculate the index for the background image
         const bgIndex = (bgY * bgImg.width + bgX) * 4;
-        const fgIndex = (fgY * fgImg.width + fgX) * 4;
         
-        const fgAlpha = (fgImg.data[fgIndex + 3] / 255) * fgOpac;
+        const fgAlpha = fgPixel[3] * fgOpac;
         
-        // If the foreground pixel is fully transparent, skip it
-        if (fgAlpha === 0) continue;
+        // If the foreground pixel is fully transparent and the operator keeps the background, skip it
+        if (fgAlpha === 0 && bounded) continue;
         
-        // If opacity is 100%, just copy it
+        const bgAlpha = bgImg.data[bgIndex + 3] / bgScale;
+        
+        // If opacity is 100% and we are not blending, just copy it
         // bgIndex, bgIndex + 1, bgIndex + 2 are the indices for R, G, B channels respectively
         // bgIndex + 3 is the index for the alpha channel
-        if (fgAlpha === 1) {
-          bgImg.data[bgIndex] = fgImg.data[fgIndex];
-          bgImg.data[bgIndex + 1] = fgImg.data[fgIndex + 1];
-          bgImg.data[bgIndex + 2] = fgImg.data[fgIndex + 2];
-          bgImg.data[bgIndex + 3] = 255;
+        if (fgAlpha === 1 && operator === "over" && (blendMode === "normal" || bgAlpha === 0)) {
+          if (bgLinear) {
+            bgImg.data[bgIndex] = fgPixel[0];
+            bgImg.data[bgIndex + 1] = fgPixel[1];
+            bgImg.data[bgIndex + 2] = fgPixel[2];
+            bgImg.data[bgIndex + 3] = 1;
+          } else {
+            bgImg.data[bgIndex] = Math.round(fgPixel[0] * 255);
+            bgImg.data[bgIndex + 1] = Math.round(fgPixel[1] * 255);
+            bgImg.data[bgIndex + 2] = Math.round(fgPixel[2] * 255);
+            bgImg.data[bgIndex + 3] = 255;
+          }
         } else {
-          const bgAlpha = bgImg.data[bgIndex + 3] / 255;
-          
-          // Calculate the new alpha usign the alpha compositing formula 
-          // result = (foreground × alpha) + (background × (1 - alpha))
-          const outAlpha = fgAlpha + bgAlpha * (1 - fgAlpha);
+          // Calculate the new alpha using the Porter-Duff fractions
+          // For "over" this is the usual formula fgAlpha + bgAlpha * (1 - fgAlpha)
+          const fa = fgAlpha * op.fa(fgAlpha, bgAlpha);
+          const fb = bgAlpha * op.fb(fgAlpha, bgAlpha);
+          const outAlpha = fa + fb;
           
           if (outAlpha > 0) {
             for (let c = 0; c < 3; c++) {
-              bgImg.data[bgIndex + c] = Math.round(
-                (fgImg.data[fgIndex + c] * fgAlpha + 
-                 bgImg.data[bgIndex + c] * bgAlpha * (1 - fgAlpha)) / outAlpha
-              );
+              const cs = fgPixel[c];
+              if (bgLinear) {
+                // Premultiplied colors are simply added up with the Porter-Duff fractions
+                const cb = bgAlpha > 0 ? bgImg.data[bgIndex + c] / bgAlpha : 0;
+                const mixed = (1 - bgAlpha) * cs + bgAlpha * blend(cb, cs);
+                bgImg.data[bgIndex + c] = mixed * fa + cb * fb;
+              } else {
+                const cb = bgImg.data[bgIndex + c] / 255;
+                // Where the background is transparent the foreground shows unblended
+                const mixed = (1 - bgAlpha) * cs + bgAlpha * blend(cb, cs);
+                bgImg.data[bgIndex + c] = Math.round(
+                  (mixed * 255 * fa + 
+                   bgImg.data[bgIndex + c] * fb) / outAlpha
+                );
+              }
             }
-            bgImg.data[bgIndex + 3] = Math.round(outAlpha * 255);
+            bgImg.data[bgIndex + 3] = bgLinear ? outAlpha : Math.round(outAlpha * 255);
+          } else {
+            // Nothing is left of either image
+            bgImg.data[bgIndex] = 0;
+            bgImg.data[bgIndex + 1] = 0;
+            bgImg.data[bgIndex + 2] = 0;
+            bgImg.data[bgIndex + 3] = 0;
+          }
+        }
+      }
+    }
+  }
+
+
+// Converts a color between RGB and HSL. All the values are in [0,1], including the hue.
+function rgbToHsl(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [h / 6, s, l];
+}
+
+function hslToRgb(h, s, l) {
+  if (s === 0) return [l, l, l];
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    t -= Math.floor(t);
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)];
+}
+
+// Returns a function that evaluates the smooth monotone curve through the given [x,y] points,
+// using monotone cubic Hermite interpolation so that the curve does not overshoot.
+function monotoneCurve(points) {
+  const p = points.slice().sort((a, b) => a[0] - b[0]);
+  const n = p.length;
+  if (n === 0) return (x) => x;
+  if (n === 1) return () => p[0][1];
+  
+  // Slopes of the segments and tangents at the points
+  const d = [];
+  for (let i = 0; i < n - 1; i++) {
+    const dx = p[i + 1][0] - p[i][0];
+    d.push(dx > 0 ? (p[i + 1][1] - p[i][1]) / dx : 0);
+  }
+  const m = [d[0]];
+  for (let i = 1; i < n - 1; i++) {
+    m.push(d[i - 1] * d[i] <= 0 ? 0 : (d[i - 1] + d[i]) / 2);
+  }
+  m.push(d[n - 2]);
+  for (let i = 0; i < n - 1; i++) {
+    if (d[i] === 0) {
+      m[i] = m[i + 1] = 0;
+      continue;
+    }
+    const a = m[i] / d[i];
+    const b = m[i + 1] / d[i];
+    const h = a * a + b * b;
+    if (h > 9) {
+      const t = 3 / Math.sqrt(h);
+      m[i] = t * a * d[i];
+      m[i + 1] = t * b * d[i];
+    }
+  }
+  
+  return (x) => {
+    if (x <= p[0][0]) return p[0][1];
+    if (x >= p[n - 1][0]) return p[n - 1][1];
+    let i = 0;
+    while (x > p[i + 1][0]) i++;
+    const dx = p[i + 1][0] - p[i][0];
+    const t = (x - p[i][0]) / dx;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * p[i][1] + (t3 - 2 * t2 + t) * dx * m[i] +
+           (-2 * t3 + 3 * t2) * p[i + 1][1] + (t3 - t2) * dx * m[i + 1];
+  };
+}
+
+// Adjustment layers. Instead of an image, an adjustment layer changes the colors of everything beneath it.
+// params describes the parameters of each adjustment with their default values and ranges.
+// Color adjustments have a color function that returns a function that changes a straight [r,g,b]
+// color in [0,1] in place. The convolution adjustment has a kernel function that returns the 3x3 filter
+// kernel in row-major order.
+var adjustments = {
+  "levels": {
+    params: {
+      inBlack:  { value: 0, min: 0,   max: 1, step: 0.01 },
+      inWhite:  { value: 1, min: 0,   max: 1, step: 0.01 },
+      gamma:    { value: 1, min: 0.1, max: 5, step: 0.01 },
+      outBlack: { value: 0, min: 0,   max: 1, step: 0.01 },
+      outWhite: { value: 1, min: 0,   max: 1, step: 0.01 },
+    },
+    color: (p) => (c) => {
+      const range = Math.max(1e-6, p.inWhite - p.inBlack);
+      for (let i = 0; i < 3; i++) {
+        const v = Math.min(1, Math.max(0, (c[i] - p.inBlack) / range));
+        c[i] = p.outBlack + Math.pow(v, 1 / p.gamma) * (p.outWhite - p.outBlack);
+      }
+    },
+  },
+  "curves": {
+    params: {
+      points: { value: [[0, 0], [0.25, 0.25], [0.75, 0.75], [1, 1]] },
+    },
+    color: (p) => {
+      const curve = monotoneCurve(p.points);
+      return (c) => {
+        for (let i = 0; i < 3; i++) c[i] = curve(c[i]);
+      };
+    },
+  },
+  "hue/saturation": {
+    params: {
+      hue:        { value: 0, min: -180, max: 180, step: 1 },
+      saturation: { value: 0, min: -1,   max: 1,   step: 0.01 },
+      lightness:  { value: 0, min: -1,   max: 1,   step: 0.01 },
+    },
+    color: (p) => (c) => {
+      const hsl = rgbToHsl(c[0], c[1], c[2]);
+      const h = hsl[0] + p.hue / 360;
+      const s = Math.min(1, Math.max(0, hsl[1] * (1 + p.saturation)));
+      const l = p.lightness > 0 ? hsl[2] + p.lightness * (1 - hsl[2]) : hsl[2] * (1 + p.lightness);
+      const rgb = hslToRgb(h, s, l);
+      c[0] = rgb[0];
+      c[1] = rgb[1];
+      c[2] = rgb[2];
+    },
+  },
+  "invert": {
+    params: {},
+    color: (p) => (c) => {
+      for (let i = 0; i < 3; i++) c[i] = 1 - c[i];
+    },
+  },
+  "threshold": {
+    params: {
+      level: { value: 0.5, min: 0, max: 1, step: 0.01 },
+    },
+    color: (p) => (c) => {
+      const luminance = 0.299 * c[0] + 0.587 * c[1] + 0.114 * c[2];
+      c[0] = c[1] = c[2] = luminance >= p.level ? 1 : 0;
+    },
+  },
+  "convolution": {
+    params: {
+      kernel: { value: [1/16, 2/16, 1/16, 2/16, 4/16, 2/16, 1/16, 2/16, 1/16] },
+    },
+    kernel: (p) => p.kernel,
+  },
+};
+
+// Common 3x3 kernels for the convolution adjustment
+var convolutionKernels = {
+  "blur":       [1/16, 2/16, 1/16, 2/16, 4/16, 2/16, 1/16, 2/16, 1/16],
+  "box blur":   [1/9, 1/9, 1/9, 1/9, 1/9, 1/9, 1/9, 1/9, 1/9],
+  "sharpen":    [0, -1, 0, -1, 5, -1, 0, -1, 0],
+  "edges":      [-1, -1, -1, -1, 8, -1, -1, -1, -1],
+  "emboss":     [-2, -1, 0, -1, 1, 1, 0, 1, 2],
+};
+
+// Returns an adjustment of the given type with the default parameters.
+function createAdjustment(type) {
+  const adj = adjustments[type];
+  if (!adj) {
+    throw new Error("Unknown adjustment: " + type);
+  }
+  const params = {};
+  for (const name in adj.params) params[name] = JSON.parse(JSON.stringify(adj.params[name].value));
+  return { type: type, params: params };
+}
+
+// Applies the adjustment, given as { type, params }, to the image in place.
+// opacity mixes the adjusted image with the original one.
+// Convolutions read the pixels around each pixel, clamping at the image borders.
+function adjustImage(image, adjustment, opacity) {
+  if (opacity === 0) return;
+  const adj = adjustments[adjustment.type];
+  if (!adj) {
+    throw new Error("Unknown adjustment: " + adjustment.type);
+  }
+  const params = Object.assign(createAdjustment(adjustment.type).params, adjustment.params);
+  const linear = !!image.linear;
+  const scale = linear ? 1 : 255;
+  const data = image.data;
+  
+  if (adj.color) {
+    const f = adj.color(params);
+    const c = [0, 0, 0];
+    const original = [0, 0, 0];
+    for (let i = 0; i < data.length; i += 4) {
+      const a = data[i + 3] / scale;
+      if (a === 0) continue;
+      // Linear images store premultiplied colors. The color functions work on sRGB encoded
+      // colors, so that an adjustment gives the same result for both image formats.
+      for (let k = 0; k < 3; k++) {
+        original[k] = linear ? linearToSrgb(Math.min(1, data[i + k] / a)) : data[i + k] / 255;
+        c[k] = original[k];
+      }
+      f(c);
+      for (let k = 0; k < 3; k++) {
+        const v = original[k];
+        const out = Math.min(1, Math.max(0, v + (c[k] - v) * opacity));
+        data[i + k] = linear ? srgbToLinear(out) * a : Math.round(out * 255);
+      }
+    }
+  } else {
+    // Filter the premultiplied colors, so that transparent pixels do not darken the edges
+    const kernel = adj.kernel(params);
+    const src = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+      const a = data[i + 3] / scale;
+      const unit = linear ? 1 : a / 255;
+      src[i] = data[i] * unit;
+      src[i + 1] = data[i + 1] * unit;
+      src[i + 2] = data[i + 2] * unit;
+      src[i + 3] = a;
+    }
+    const sum = [0, 0, 0, 0];
+    for (let y = 0; y < image.height; y++) {
+      for (let x = 0; x < image.width; x++) {
+        sum[0] = sum[1] = sum[2] = sum[3] = 0;
+        for (let ky = -1; ky <= 1; ky++) {
+          const sy = Math.min(image.height - 1, Math.max(0, y + ky));
+          for (let kx = -1; kx <= 1; kx++) {
+            const sx = Math.min(image.width - 1, Math.max(0, x + kx));
+            const w = kernel[(ky + 1) * 3 + kx + 1];
+            const j = (sy * image.width + sx) * 4;
+            for (let k = 0; k < 4; k++) sum[k] += w * src[j + k];
           }
         }
+        const i = (y * image.width + x) * 4;
+        const a = Math.min(1, Math.max(0, src[i + 3] + (sum[3] - src[i + 3]) * opacity));
+        for (let k = 0; k < 3; k++) {
+          const v = Math.min(a, Math.max(0, src[i + k] + (sum[k] - src[i + k]) * opacity));
+          data[i + k] = linear ? v : (a > 0 ? Math.round(v / a * 255) : 0);
+        }
+        data[i + 3] = linear ? a : Math.round(a * 255);
+      }
+    }
+  }
+}
+
+// Returns by how many pixels the changes to a layer can spread in the composited image,
+// which is one pixel for every convolution above it.
+function stackSpread(layers) {
+  let spread = 0;
+  for (const layer of layers) {
+    if (layer.visible && layer.adjustment && adjustments[layer.adjustment.type].kernel) spread++;
+  }
+  return spread;
+}
+
+// Returns the intersection of two rectangles given as { x, y, width, height }, or null if they do not overlap.
+function intersectRects(a, b) {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const width = Math.min(a.x + a.width, b.x + b.width) - x;
+  const height = Math.min(a.y + a.height, b.y + b.height) - y;
+  if (width <= 0 || height <= 0) return null;
+  return { x: x, y: y, width: width, height: height };
+}
+
+// Returns the smallest rectangle that contains both rectangles. Either of them can be null.
+function unionRects(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x: x,
+    y: y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y
+  };
+}
+
+// Calls callback for each tile of at most size x size pixels that the rectangle is split into.
+function forEachTile(rect, size, callback) {
+  for (let y = rect.y; y < rect.y + rect.height; y += size) {
+    for (let x = rect.x; x < rect.x + rect.width; x += size) {
+      callback({
+        x: x,
+        y: y,
+        width: Math.min(size, rect.x + rect.width - x),
+        height: Math.min(size, rect.y + rect.height - y)
+      });
+    }
+  }
+}
+
+// The size of the tiles the layer stack is composited in
+var tileSize = 256;
+
+// Returns the 3x3 transformation matrix that places the layer on the canvas.
+function layerMatrix(layer) {
+  return layerTransform(layer.imagePos, layer.imageRot, layer.imageScale, layer.image.width, layer.image.height);
+}
+
+// Returns the rectangle of canvas pixels the layer can change, or null if it can change the whole canvas.
+function layerBounds(layer) {
+  if (layer.adjustment) return null;
+  if (!layer.image) return { x: 0, y: 0, width: 0, height: 0 };
+  if (compositeOperators[layer.operator].fb(0, 1) !== 1) return null;
+  return transformedBounds(layerMatrix(layer), layer.image.width, layer.image.height, resampleFilters[layer.filter].radius - 0.5);
+}
+
+// Copies the given rectangle of the src image to the dst image of the same format, at position (x,y).
+function copyRect(src, rect, dst, x, y) {
+  for (let row = 0; row < rect.height; row++) {
+    const i = ((rect.y + row) * src.width + rect.x) * 4;
+    dst.data.set(src.data.subarray(i, i + rect.width * 4), ((y + row) * dst.width + x) * 4);
+  }
+}
+
+// Returns an empty (fully transparent) image in 8-bit or linear-light format.
+function createImage(width, height, linear) {
+  if (linear) return createLinearImage(width, height);
+  return { data: new Uint8ClampedArray(width * height * 4), width: width, height: height };
+}
+
+// Creates a compositor for a stack of layers. The layers are given from bottom to top as objects with
+//   id, version:  identify the layer and the current contents of its image and mask
+//   image, mask:  the layer image and its optional grayscale mask
+//   imageOpac, imagePos, imageRot, imageScale, visible, blendMode, operator, filter, clip:  the layer settings
+//   adjustment:   { type, params } for adjustment layers, which have no image
+// The bottom layer is the canvas itself. A layer with clip set is clipped to the image layer below it.
+// The compositor caches the masked (and decoded) image of each layer, and the composite of the
+// layers below the one that is being edited, so that only the layers that change are blended again.
+function createStackCompositor() {
+  const prepared = new Map();	// layer id -> { version, linear, image }
+  let backdrop = null;		// { key, image } composite of the bottom layers of the last render
+  
+  // Returns the layer image with its mask applied, in the requested format
+  function prepareLayer(layer, linear) {
+    const cached = prepared.get(layer.id);
+    if (cached && cached.version === layer.version && cached.linear === linear) return cached.image;
+    let image = layer.mask ? applyMask(layer.image, layer.mask) : layer.image;
+    if (linear) image = decodeImage(image);
+    prepared.set(layer.id, { version: layer.version, linear: linear, image: image });
+    return image;
+  }
+  
+  // Composites the layer onto the image, which covers the given rectangle of the canvas.
+  // The layer is sampled with its canvas transformation, so that a tile gets exactly the
+  // same pixels as the whole canvas. Adjustment layers change the image instead.
+  function compositeLayer(image, rect, layer, linear, opac, blendMode, operator) {
+    if (!layer.visible) return;
+    if (layer.adjustment) {
+      adjustImage(image, layer.adjustment, opac);
+      return;
+    }
+    if (!layer.image) return;
+    composite(image, prepareLayer(layer, linear), opac, layerMatrix(layer), blendMode, operator, layer.filter, rect);
+  }
+  
+  // Composites layers[start] and the layers above it onto the image, which covers the given rectangle of the canvas
+  function compositeLayers(image, rect, layers, start, linear) {
+    let i = start;
+    if (i === 0) {
+      const base = layers[0];
+      if (base.image && base.visible) {
+        composite(image, prepareLayer(base, linear), base.imageOpac, { x: 0, y: 0 }, "normal", "over", "nearest", rect);
+      }
+      // Layers clipped to the bottom layer only show where the canvas image is
+      for (i = 1; i < layers.length && layers[i].clip; i++) {
+        compositeLayer(image, rect, layers[i], linear, layers[i].imageOpac, layers[i].blendMode, "atop");
+      }
+    }
+    while (i < layers.length) {
+      const c = layers[i];
+      // Find the layers above that are clipped to this one. Nothing clips to an adjustment layer.
+      let j = i + 1;
+      while (!c.adjustment && j < layers.length && layers[j].clip) j++;
+      if (j === i + 1) {
+        compositeLayer(image, rect, c, linear, c.imageOpac, c.blendMode, c.operator);
+      } else if (c.image && c.visible) {
+        // The clipping group is composited separately, with the clipped layers
+        // placed atop the base layer, and then the base layer's settings are
+        // applied to the whole group.
+        const group = createImage(rect.width, rect.height, linear);
+        compositeLayer(group, rect, c, linear, 1, "normal", "over");
+        for (let k = i + 1; k < j; k++) {
+          compositeLayer(group, rect, layers[k], linear, layers[k].imageOpac, layers[k].blendMode, "atop");
+        }
+        composite(image, group, c.imageOpac, { x: 0, y: 0 }, c.blendMode, c.operator, "nearest");
       }
+      i = j;
+    }
+  }
+  
+  // Returns the composite of layers[0..count-1] over the whole canvas, reusing the last one if nothing changed
+  function getBackdrop(layers, count, width, height, linear) {
+    const below = layers.slice(0, count);
+    const key = JSON.stringify({ width: width, height: height, linear: linear, layers: below },
+      (k, v) => (k === "image" || k === "mask") ? undefined : v);
+    if (!backdrop || backdrop.key !== key) {
+      const image = createImage(width, height, linear);
+      compositeLayers(image, { x: 0, y: 0, width: width, height: height }, below, 0, linear);
+      backdrop = { key: key, image: image };
+    }
+    return backdrop.image;
+  }
+  
+  // Returns the given rectangle of the composited canvas as an 8-bit sRGB image.
+  // layers[from] is the lowest layer that changed since the last render. The layers below it
+  // are taken from the cache, so dragging a layer only blends that layer and the ones above.
+  function render(layers, width, height, rect, linear, from = 0) {
+    // Drop the cached images of the layers that are gone
+    const ids = new Set(layers.map(l => l.id));
+    for (const id of prepared.keys()) {
+      if (!ids.has(id)) prepared.delete(id);
+    }
+    
+    // A layer in a clipping group is composited together with the base of its group
+    let start = Math.min(from, layers.length);
+    while (start > 0 && start < layers.length && layers[start].clip) start--;
+    
+    // Convolutions read the pixels around the rectangle, so a larger area is composited
+    const spread = stackSpread(layers.slice(start));
+    const area = intersectRects(
+      { x: rect.x - spread, y: rect.y - spread, width: rect.width + 2 * spread, height: rect.height + 2 * spread },
+      { x: 0, y: 0, width: width, height: height });
+    
+    let tile = createImage(area.width, area.height, linear);
+    if (start > 0) {
+      const below = getBackdrop(layers, start, width, height, linear);
+      copyRect(below, { x: area.x, y: area.y, width: area.width, height: area.height }, tile, 0, 0);
     }
-  }
\ No newline at end of file
+    compositeLayers(tile, area, layers, start, linear);
+    if (spread > 0) {
+      const cropped = createImage(rect.width, rect.height, linear);
+      copyRect(tile, { x: rect.x - area.x, y: rect.y - area.y, width: rect.width, height: rect.height }, cropped, 0, 0);
+      tile = cropped;
+    }
+    return linear ? encodeImage(tile) : tile;
+  }
+  
+  return { render: render };
+}
+
+// Nothing in this file depends on the DOM, so Node scripts can require it to run the compositor
+// headlessly on plain { data, width, height } images.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    composite, blendModes, compositeOperators, resampleFilters, layerTransform, invertTransform,
+    applyMask, decodeImage, encodeImage, createLinearImage, adjustments, createAdjustment, adjustImage,
+    createStackCompositor, forEachTile, tileSize
+  };
+}
@@ -0,0 +1,330 @@
+// Golden-image regression tests for composite(). Run them from the homework_1 directory with
+//   node --test test/*.test.js
+// Each case composites one of the bundled images onto a crop of the background and compares the
+// result with test/golden/<case>.png. After an intended change of the output, run the tests with
+// UPDATE_GOLDEN=1 to write the new golden images, and check them before committing.
+// The golden images only catch changes of the output, so a few small cases also compare with pixels worked out by hand.
+// The tests of createStackCompositor check that incremental renders match a render of the whole canvas.
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { readPng, writePng } = require("./png.js");
+const {
+  composite, blendModes, compositeOperators, layerTransform, decodeImage, encodeImage, createLinearImage,
+  adjustments, createAdjustment, adjustImage, createStackCompositor, forEachTile
+} = require("../project1.js");
+
+const goldenDir = path.join(__dirname, "golden");
+const update = !!process.env.UPDATE_GOLDEN;
+
+// Returns a copy of the rectangle of img at (x,y)
+function crop(img, x, y, width, height) {
+  const out = { data: new Uint8ClampedArray(width * height * 4), width: width, height: height };
+  for (let row = 0; row < height; row++) {
+    const i = ((y + row) * img.width + x) * 4;
+    out.data.set(img.data.subarray(i, i + width * 4), row * width * 4);
+  }
+  return out;
+}
+
+// Returns img made factor times smaller by averaging each block of factor x factor pixels
+// with premultiplied alpha. The tests use the smaller images to keep the golden images small.
+function shrink(img, factor) {
+  const width = img.width / factor;
+  const height = img.height / factor;
+  const out = { data: new Uint8ClampedArray(width * height * 4), width: width, height: height };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sum = [0, 0, 0, 0];
+      for (let dy = 0; dy < factor; dy++) {
+        for (let dx = 0; dx < factor; dx++) {
+          const i = ((y * factor + dy) * img.width + x * factor + dx) * 4;
+          const a = img.data[i + 3];
+          for (let c = 0; c < 3; c++) sum[c] += img.data[i + c] * a;
+          sum[3] += a;
+        }
+      }
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) out.data[o + c] = sum[3] > 0 ? Math.round(sum[c] / sum[3]) : 0;
+      out.data[o + 3] = Math.round(sum[3] / (factor * factor));
+    }
+  }
+  return out;
+}
+
+function copyImage(img) {
+  return { data: img.data.slice(), width: img.width, height: img.height };
+}
+
+const load = (name) => readPng(path.join(__dirname, "..", name + ".png"));
+const background = crop(load("background"), 384, 192, 128, 96);
+const teapot = shrink(load("teapot"), 8);
+const u = shrink(crop(load("u"), 328, 144, 304, 304), 4);
+const star = shrink(load("star"), 2);
+const transparent = { data: new Uint8ClampedArray(128 * 96 * 4), width: 128, height: 96 };
+
+// Compares img with the golden image of the given name, or replaces the golden image when updating
+function assertGolden(name, img) {
+  const file = path.join(goldenDir, name + ".png");
+  if (update) {
+    writePng(file, img);
+    return;
+  }
+  assert.ok(fs.existsSync(file), "Missing golden image " + file + ", run the tests with UPDATE_GOLDEN=1");
+  const golden = readPng(file);
+  assert.strictEqual(img.width, golden.width, name + ": width");
+  assert.strictEqual(img.height, golden.height, name + ": height");
+  let count = 0, maxDiff = 0;
+  for (let i = 0; i < img.data.length; i += 4) {
+    let diff = 0;
+    for (let c = 0; c < 4; c++) diff = Math.max(diff, Math.abs(img.data[i + c] - golden.data[i + c]));
+    if (diff > 0) count++;
+    maxDiff = Math.max(maxDiff, diff);
+  }
+  assert.strictEqual(count, 0, name + ": " + count + " pixels differ from the golden image, by up to " + maxDiff);
+}
+
+// Composites a copy of the foreground onto a copy of the background and checks the result
+function checkComposite(name, bg, fg, fgOpac, fgPos, blendMode, operator, filter) {
+  const out = copyImage(bg);
+  composite(out, fg, fgOpac, fgPos, blendMode, operator, filter);
+  assertGolden(name, out);
+  return out;
+}
+
+test.describe("composite", () => {
+  test.describe("blend modes", () => {
+    for (const mode in blendModes) {
+      test.it(mode, () => checkComposite("blend-" + mode, background, teapot, 0.75, { x: 0, y: 16 }, mode));
+    }
+  });
+
+  test.describe("operators", () => {
+    // The star sticks out of the top and right edges, so that the operators that
+    // change the background outside of the foreground are covered too
+    for (const op in compositeOperators) {
+      test.it(op, () => checkComposite("operator-" + op, background, star, 0.9, { x: 32, y: -32 }, "normal", op));
+    }
+  });
+
+  test.describe("positions", () => {
+    test.it("negative position", () => checkComposite("position-negative", background, u, 1, { x: -30, y: -20 }));
+    test.it("partly out of bounds", () => checkComposite("position-out-of-bounds", background, u, 1, { x: 100, y: 70 }));
+    test.it("fractional position", () => checkComposite("position-fractional", background, teapot, 1, { x: 10.5, y: 20.25 }));
+
+    test.it("completely out of bounds leaves the background unchanged", () => {
+      for (const pos of [{ x: 128, y: 0 }, { x: 0, y: 96 }, { x: -76, y: 0 }, { x: -200, y: -300 }]) {
+        const out = copyImage(background);
+        composite(out, u, 1, pos);
+        assert.deepStrictEqual(out.data, background.data, "position " + JSON.stringify(pos));
+      }
+    });
+
+    test.it("transformation matrix", () => {
+      const t = layerTransform({ x: 20, y: 10 }, 30, 0.75, u.width, u.height);
+      checkComposite("transform-bicubic", background, u, 1, t, "normal", "over", "bicubic");
+    });
+  });
+
+  test.describe("opacity", () => {
+    test.it("zero opacity leaves the background unchanged", () => {
+      for (const mode of ["normal", "multiply", "difference"]) {
+        const out = copyImage(background);
+        composite(out, teapot, 0, { x: 0, y: 16 }, mode);
+        assert.deepStrictEqual(out.data, background.data, mode);
+      }
+    });
+
+    test.it("zero opacity with an unbounded operator", () => {
+      const out = checkComposite("opacity-zero-dest-in", background, star, 0, { x: 32, y: -32 }, "normal", "dest-in");
+      for (let i = 3; i < out.data.length; i += 4) assert.strictEqual(out.data[i], 0);
+    });
+
+    test.it("half opacity", () => checkComposite("opacity-half", background, u, 0.5, { x: 20, y: 10 }));
+  });
+
+  test.describe("transparent background", () => {
+    test.it("normal", () => {
+      const out = checkComposite("transparent-normal", transparent, teapot, 1, { x: 0, y: 16 });
+      // Over a transparent background the visible foreground pixels are copied unchanged
+      for (let i = 0; i < teapot.data.length; i += 4) {
+        if (teapot.data[i + 3] === 0) continue;
+        const o = i + 16 * 128 * 4;
+        assert.deepStrictEqual(out.data.subarray(o, o + 4), teapot.data.subarray(i, i + 4));
+      }
+    });
+    test.it("multiply", () => checkComposite("transparent-multiply", transparent, teapot, 0.75, { x: 0, y: 16 }, "multiply"));
+    test.it("xor", () => checkComposite("transparent-xor", transparent, star, 1, { x: 32, y: -32 }, "normal", "xor"));
+  });
+
+  test.describe("linear-light images", () => {
+    test.it("multiply", () => {
+      const out = decodeImage(background);
+      composite(out, decodeImage(teapot), 0.75, { x: 0, y: 16 }, "multiply");
+      assertGolden("linear-multiply", encodeImage(out));
+    });
+    test.it("transparent background", () => {
+      const out = createLinearImage(128, 96);
+      composite(out, decodeImage(star), 0.9, { x: 32, y: -32 }, "screen", "xor");
+      assertGolden("linear-transparent-xor", encodeImage(out));
+    });
+  });
+
+  test.describe("mixed image formats", () => {
+    const gray = { data: new Uint8ClampedArray([128, 128, 128, 255]), width: 1, height: 1 };
+    const black = { data: new Uint8ClampedArray([0, 0, 0, 255]), width: 1, height: 1 };
+
+    test.it("linear foreground over an 8-bit background", () => {
+      const out = copyImage(black);
+      composite(out, decodeImage(gray), 1, { x: 0, y: 0 });
+      assert.deepStrictEqual(Array.from(out.data), [128, 128, 128, 255]);
+    });
+    test.it("8-bit foreground over a linear background", () => {
+      const out = decodeImage(black);
+      composite(out, gray, 1, { x: 0, y: 0 });
+      assert.deepStrictEqual(Array.from(encodeImage(out).data), [128, 128, 128, 255]);
+    });
+    test.it("gives the same result as a single format, up to rounding", () => {
+      // The largest difference between the channels of two 8-bit images
+      const maxDifference = (a, b) => a.data.reduce((max, v, i) => Math.max(max, Math.abs(v - b.data[i])), 0);
+
+      const expected = copyImage(background);
+      composite(expected, teapot, 0.75, { x: 0, y: 16 }, "multiply");
+      const out = copyImage(background);
+      composite(out, decodeImage(teapot), 0.75, { x: 0, y: 16 }, "multiply");
+      assert.ok(maxDifference(out, expected) <= 1);
+
+      const expectedLinear = decodeImage(background);
+      composite(expectedLinear, decodeImage(teapot), 0.75, { x: 0, y: 16 }, "multiply");
+      const linear = decodeImage(background);
+      composite(linear, teapot, 0.75, { x: 0, y: 16 }, "multiply");
+      assert.ok(maxDifference(encodeImage(linear), encodeImage(expectedLinear)) <= 1);
+    });
+  });
+
+  // These expected pixels are worked out by hand from the separable blend and Porter-Duff formulas,
+  // so unlike the golden images they also catch output that was wrong from the start.
+  // The foreground is (100,200,250) and the background (200,100,50), and the comments use values in [0,255].
+  test.describe("hand-computed pixels", () => {
+    // Returns a one-row 8-bit image with the given RGBA pixels
+    const row = (...pixels) => ({ data: new Uint8ClampedArray(pixels.flat()), width: pixels.length, height: 1 });
+    const check = (bg, fg, fgOpac, blendMode, operator, expected) => {
+      const out = copyImage(bg);
+      composite(out, fg, fgOpac, { x: 0, y: 0 }, blendMode, operator);
+      assert.deepStrictEqual(Array.from(out.data), expected.flat());
+    };
+
+    // The second background pixel is transparent, where the foreground shows unblended
+    const opaque = row([200, 100, 50, 255], [0, 0, 0, 0]);
+    const fg = row([100, 200, 250, 255], [100, 200, 250, 255]);
+
+    test.it("normal at half opacity", () => {
+      // Opaque background: (100 * 0.5 + 200 * 0.5) = 150 for every channel.
+      // Transparent background: the color is kept and the alpha is 0.5 * 255 = 127.5.
+      check(opaque, fg, 0.5, "normal", "over", [[150, 150, 150, 255], [100, 200, 250, 128]]);
+    });
+    test.it("multiply", () => {
+      // 200 * 100 / 255 = 78.4, 100 * 200 / 255 = 78.4, 50 * 250 / 255 = 49.0
+      check(opaque, fg, 1, "multiply", "over", [[78, 78, 49, 255], [100, 200, 250, 255]]);
+    });
+    test.it("screen", () => {
+      // 200 + 100 - 78.4 = 221.6, 100 + 200 - 78.4 = 221.6, 50 + 250 - 49.0 = 251.0
+      check(opaque, fg, 1, "screen", "over", [[222, 222, 251, 255], [100, 200, 250, 255]]);
+    });
+    test.it("difference", () => {
+      check(opaque, fg, 1, "difference", "over", [[100, 100, 200, 255], [100, 200, 250, 255]]);
+    });
+    test.it("multiply over a semi-transparent background", () => {
+      // The background alpha is 0.6, so 0.4 of the foreground shows unblended:
+      // 0.4 * 100 + 0.6 * 78.4 = 87.1, 0.4 * 200 + 0.6 * 78.4 = 127.1, 0.4 * 250 + 0.6 * 49.0 = 129.4
+      check(row([200, 100, 50, 153]), row([100, 200, 250, 255]), 1, "multiply", "over", [[87, 127, 129, 255]]);
+    });
+
+    test.describe("operators", () => {
+      // The foreground alpha is as = 0.2 and the background alpha ab = 0.6. The foreground only covers
+      // the first pixel, so the second one shows which operators clear the background outside of it.
+      // The output alpha is as * fa + ab * fb and the colors are weighted with the same two terms.
+      const bg = row([200, 100, 50, 153], [10, 20, 30, 255]);
+      const star = row([100, 200, 250, 51]);
+
+      test.it("over", () => {
+        // fa = 1, fb = 1 - 0.2: 0.2 + 0.6 * 0.8 = 0.68 -> 173.4
+        // (100 * 0.2 + 200 * 0.48) / 0.68 = 170.6, (200 * 0.2 + 100 * 0.48) / 0.68 = 129.4, (250 * 0.2 + 50 * 0.48) / 0.68 = 108.8
+        check(bg, star, 1, "normal", "over", [[171, 129, 109, 173], [10, 20, 30, 255]]);
+      });
+      test.it("atop", () => {
+        // fa = 0.6, fb = 0.8: 0.12 + 0.48 = 0.6 -> 153
+        // (100 * 0.12 + 200 * 0.48) / 0.6 = 180, (200 * 0.12 + 100 * 0.48) / 0.6 = 120, (250 * 0.12 + 50 * 0.48) / 0.6 = 90
+        check(bg, star, 1, "normal", "atop", [[180, 120, 90, 153], [10, 20, 30, 255]]);
+      });
+      test.it("xor", () => {
+        // fa = 1 - 0.6, fb = 1 - 0.2: 0.08 + 0.48 = 0.56 -> 142.8
+        // (100 * 0.08 + 200 * 0.48) / 0.56 = 185.7, (200 * 0.08 + 100 * 0.48) / 0.56 = 114.3, (250 * 0.08 + 50 * 0.48) / 0.56 = 78.6
+        check(bg, star, 1, "normal", "xor", [[186, 114, 79, 143], [10, 20, 30, 255]]);
+      });
+      test.it("in", () => {
+        // fa = 0.6, fb = 0: 0.2 * 0.6 = 0.12 -> 30.6 with the foreground color, and nothing is left outside of it
+        check(bg, star, 1, "normal", "in", [[100, 200, 250, 31], [0, 0, 0, 0]]);
+      });
+      test.it("dest-out", () => {
+        // fa = 0, fb = 1 - 0.2: 0.6 * 0.8 = 0.48 -> 122.4 with the background color
+        check(bg, star, 1, "normal", "dest-out", [[200, 100, 50, 122], [10, 20, 30, 255]]);
+      });
+    });
+  });
+});
+
+test.describe("adjustImage", () => {
+  test.it("inverts linear images in the sRGB encoding", () => {
+    const img = decodeImage({ data: new Uint8ClampedArray([10, 20, 30, 255]), width: 1, height: 1 });
+    adjustImage(img, createAdjustment("invert"), 1);
+    assert.deepStrictEqual(Array.from(encodeImage(img).data), [245, 235, 225, 255]);
+  });
+
+  for (const type in adjustments) {
+    if (!adjustments[type].color) continue;
+    test.it(type + " gives the same result for both image formats, up to rounding", () => {
+      const adjustment = createAdjustment(type);
+      if (type === "hue/saturation") Object.assign(adjustment.params, { hue: 40, saturation: 0.5, lightness: -0.2 });
+      if (type === "levels") Object.assign(adjustment.params, { inBlack: 0.1, gamma: 1.6 });
+      const expected = copyImage(u);
+      adjustImage(expected, adjustment, 0.8);
+      const linear = decodeImage(u);
+      adjustImage(linear, adjustment, 0.8);
+      const out = encodeImage(linear);
+      for (let i = 0; i < out.data.length; i++) {
+        if (out.data[i - i % 4 + 3] === 0) continue;
+        assert.ok(Math.abs(out.data[i] - expected.data[i]) <= 1, "channel " + i + ": " + out.data[i] + " instead of " + expected.data[i]);
+      }
+    });
+  }
+});
+
+test.describe("createStackCompositor", () => {
+  let id = 0;
+  const layer = (image, settings) => Object.assign({
+    id: ++id, version: 1, image: image, mask: null, imageOpac: 1, imagePos: { x: 0, y: 0 }, imageRot: 0, imageScale: 1,
+    visible: true, blendMode: "normal", operator: "over", filter: "bilinear", clip: false
+  }, settings);
+  const layers = [
+    layer(background),
+    layer(teapot, { imagePos: { x: 3.3, y: 10.4 }, imageRot: 17, imageScale: 0.8, imageOpac: 0.8 }),
+    layer(star, { imagePos: { x: 20.25, y: -30.5 }, imageRot: 33, imageScale: 0.6, clip: true, blendMode: "multiply", filter: "bicubic" }),
+    layer(u, { imagePos: { x: 57.7, y: 20.1 }, imageRot: -12, imageScale: 0.9, blendMode: "screen", imageOpac: 0.7 }),
+  ];
+
+  for (const linear of [false, true]) {
+    test.it("renders the same tiles incrementally as over the whole canvas" + (linear ? " in linear light" : ""), () => {
+      const full = createStackCompositor().render(layers, 128, 96, { x: 0, y: 0, width: 128, height: 96 }, linear, 0);
+      const compositor = createStackCompositor();
+      for (let from = 1; from < layers.length; from++) {
+        forEachTile({ x: 11, y: 7, width: 100, height: 80 }, 37, (rect) => {
+          const tile = compositor.render(layers, 128, 96, rect, linear, from);
+          assert.deepStrictEqual(tile, crop(full, rect.x, rect.y, rect.width, rect.height),
+            "layers from " + from + ", tile " + JSON.stringify(rect));
+        });
+      }
+    });
+  }
+});
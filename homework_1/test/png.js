@@ -0,0 +1,133 @@
+// A minimal PNG decoder and encoder for the tests, so that they run in Node without any packages.
+// Only 8-bit grayscale, RGB and RGBA images without interlacing are supported, which covers the
+// bundled images and the golden outputs.
+const fs = require("fs");
+const zlib = require("zlib");
+
+const signature = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Number of channels of each supported color type
+const channelCounts = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+// The CRC-32 table of the chunk checksums
+const crcTable = new Uint32Array(256).map((v, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = crcTable[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// The Paeth predictor of the PNG filter type 4
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Decodes a PNG file into an 8-bit RGBA image { data, width, height }.
+function readPng(file) {
+  const buffer = fs.readFileSync(file);
+  if (!buffer.subarray(0, 8).equals(signature)) {
+    throw new Error("Not a PNG file: " + file);
+  }
+  let width, height, colorType;
+  const idat = [];
+  for (let pos = 8; pos < buffer.length; ) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString("latin1", pos + 4, pos + 8);
+    const body = buffer.subarray(pos + 8, pos + 8 + length);
+    if (type === "IHDR") {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      colorType = body[9];
+      if (body[8] !== 8 || !channelCounts[colorType] || body[12] !== 0) {
+        throw new Error("Unsupported PNG format: " + file);
+      }
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+    pos += length + 12;
+  }
+
+  // Undo the filter of each row, which predicts the bytes from the pixel to the left and the row above
+  const channels = channelCounts[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? pixels[row + x - channels] : 0;
+      const b = y > 0 ? pixels[row - stride + x] : 0;
+      const c = x >= channels && y > 0 ? pixels[row - stride + x - channels] : 0;
+      const predictor = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+      if (predictor === undefined) {
+        throw new Error("Invalid PNG filter in " + file);
+      }
+      pixels[row + x] = line[x] + predictor;
+    }
+  }
+
+  // Expand the pixels to RGBA
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const p = pixels.subarray(i * channels, (i + 1) * channels);
+    const gray = channels < 3;
+    data[i * 4] = p[0];
+    data[i * 4 + 1] = gray ? p[0] : p[1];
+    data[i * 4 + 2] = gray ? p[0] : p[2];
+    data[i * 4 + 3] = channels === 4 ? p[3] : channels === 2 ? p[1] : 255;
+  }
+  return { data: data, width: width, height: height };
+}
+
+// Encodes an 8-bit RGBA image { data, width, height } as a PNG file.
+function writePng(file, img) {
+  const chunk = (type, body) => {
+    const out = Buffer.alloc(body.length + 12);
+    out.writeUInt32BE(body.length, 0);
+    out.write(type, 4, "latin1");
+    body.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+    return out;
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(img.width, 0);
+  header.writeUInt32BE(img.height, 4);
+  header[8] = 8;	// bit depth
+  header[9] = 6;	// RGBA
+
+  // Every row uses the Paeth filter, which makes the images compress well
+  const stride = img.width * 4;
+  const raw = Buffer.alloc((stride + 1) * img.height);
+  for (let y = 0; y < img.height; y++) {
+    raw[y * (stride + 1)] = 4;
+    for (let x = 0; x < stride; x++) {
+      const i = y * stride + x;
+      const a = x >= 4 ? img.data[i - 4] : 0;
+      const b = y > 0 ? img.data[i - stride] : 0;
+      const c = x >= 4 && y > 0 ? img.data[i - stride - 4] : 0;
+      raw[y * (stride + 1) + 1 + x] = img.data[i] - paeth(a, b, c);
+    }
+  }
+  fs.writeFileSync(file, Buffer.concat([
+    signature,
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0))
+  ]));
+}
+
+module.exports = { readPng, writePng };
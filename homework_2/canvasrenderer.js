@@ -0,0 +1,92 @@
+// Draws a scene graph into a 2D canvas, using the world matrices of the nodes directly
+// as the canvas transformation instead of CSS matrix() strings.
+
+class CanvasRenderer
+{
+	constructor( canvas )
+	{
+		this.canvas  = canvas;
+		this.context = canvas.getContext('2d');
+		this.groundImage   = null;
+		this.groundPattern = null;
+	}
+
+	// Matches the canvas resolution to its size on the page
+	resize()
+	{
+		var w = this.canvas.clientWidth;
+		var h = this.canvas.clientHeight;
+		if ( this.canvas.width != w || this.canvas.height != h ) {
+			this.canvas.width  = w;
+			this.canvas.height = h;
+		}
+	}
+
+	// Fills the canvas with the image repeated as a tiled texture.
+	// A tile is size pixels wide and one of them has its top-left corner at (x,y).
+	drawGround( image, x, y, size )
+	{
+		if ( ! image.complete || ! image.naturalWidth ) return;
+		var ctx = this.context;
+		if ( this.groundImage != image ) {
+			this.groundImage   = image;
+			this.groundPattern = ctx.createPattern( image, "repeat" );
+		}
+		var k = size / image.naturalWidth;
+		ctx.setTransform( k, 0, 0, k, x, y );
+		ctx.fillStyle = this.groundPattern;
+		ctx.fillRect( -x / k, -y / k, this.canvas.width / k, this.canvas.height / k );
+		ctx.setTransform( 1, 0, 0, 1, 0, 0 );
+	}
+
+	clear()
+	{
+		this.context.clearRect( 0, 0, this.canvas.width, this.canvas.height );
+	}
+
+	// Draws lines through the points of the given paths after transforming them with the matrix.
+	// Each path is { points:[[x,y],...], color, width }, where the width is in pixels on the canvas.
+	drawPaths( paths, matrix )
+	{
+		var ctx = this.context;
+		ctx.lineJoin = "round";
+		for ( var i=0; i<paths.length; ++i ) {
+			var path = paths[i];
+			if ( path.points.length < 2 ) continue;
+			ctx.beginPath();
+			for ( var j=0; j<path.points.length; ++j ) {
+				var p = Mat3.transformPoint( matrix, path.points[j][0], path.points[j][1] );
+				if ( j == 0 ) ctx.moveTo( p[0], p[1] ); else ctx.lineTo( p[0], p[1] );
+			}
+			ctx.strokeStyle = path.color;
+			ctx.lineWidth   = path.width;
+			ctx.stroke();
+		}
+	}
+
+	// Draws the sprites of all the nodes in the given scenes.
+	// Lower layers are drawn first, and nodes of the same layer are drawn in traversal order.
+	drawScene( roots )
+	{
+		var sprites = [];
+		for ( var i=0; i<roots.length; ++i ) {
+			roots[i].traverse( function( node ) {
+				if ( node.sprite ) sprites.push( node );
+			});
+		}
+		sprites.sort( function( a, b ) { return a.layer - b.layer; } );
+
+		var ctx = this.context;
+		for ( var i=0; i<sprites.length; ++i ) {
+			var node = sprites[i];
+			var s = node.sprite;
+			if ( ! s.image.complete || ! s.image.naturalWidth ) continue;
+			var m = node.getWorld();
+			ctx.setTransform( m[0], m[1], m[3], m[4], m[6], m[7] );
+			ctx.filter = node.filter || "none";
+			ctx.drawImage( s.image, -s.width/2, -s.height/2, s.width, s.height );
+		}
+		ctx.setTransform( 1, 0, 0, 1, 0, 0 );
+		ctx.filter = "none";
+	}
+}
@@ -0,0 +1,159 @@
+// A fleet of UAVs that follow a leader in formation.
+// The leader is flown by hand or visits a list of waypoints on the ground. Every other UAV flies to
+// its slot in the formation, which is placed relative to the leader with the transformation
+// GetTransform builds from the leader's position and heading, and steers away from UAVs that get
+// too close. Positions are in meters and headings in degrees, as in the flight model.
+
+// Slots of the followers in the body frame of the leader, where -y is forward and x is right.
+// Each function returns the slot of follower i (starting from 1) out of count followers.
+var formations = {
+	// Side by side with the leader, alternating right and left
+	line: function( i, count, spacing ) {
+		var k = Math.ceil( i/2 );
+		return [ ( i % 2 ? k : -k ) * spacing, 0 ];
+	},
+	// Behind the leader in two arms, alternating right and left
+	v: function( i, count, spacing ) {
+		var k = Math.ceil( i/2 );
+		return [ ( i % 2 ? k : -k ) * spacing, k * spacing ];
+	},
+	// Evenly spaced around the leader
+	circle: function( i, count, spacing ) {
+		var radius = Math.max( spacing, spacing * count / ( 2 * Math.PI ) );
+		var angle  = 2 * Math.PI * ( i - 1 ) / count;
+		return [ Math.sin( angle ) * radius, -Math.cos( angle ) * radius ];
+	},
+};
+
+// Returns the signed difference a-b of two angles in degrees, between -180 and 180
+function AngleDifference( a, b )
+{
+	var d = ( a - b ) % 360;
+	if ( d >  180 ) d -= 360;
+	if ( d < -180 ) d += 360;
+	return d;
+}
+
+class Fleet
+{
+	constructor( count, wind )
+	{
+		this.members   = [];	// the leader is the first member
+		this.formation = "v";
+		this.spacing   = 3.5;	// distance between the slots of the formation (m)
+		this.safeDistance  = 3;	// UAVs closer than this steer away from each other (m)
+		this.arrivalRadius = 1;	// a waypoint is reached within this distance (m)
+		this.cruiseSpeed   = 1.67;	// speed per meter of altitude (m/s)
+		this.maxSpeed      = 20;	// m/s
+		this.waypoints = [];	// [x,y] points the leader visits in order
+		for ( var i=0; i<count; ++i ) {
+			var flight = new FlightModel( { wind: wind } );
+			this.members.push( { flight: flight, controller: new HoverController( flight ) } );
+		}
+		// Start at the formation slots, so that the UAVs do not take off on top of each other
+		for ( var i=1; i<count; ++i ) {
+			var p = this.slot( i );
+			this.members[i].flight.x = p[0];
+			this.members[i].flight.y = p[1];
+		}
+	}
+
+	get leader() { return this.members[0]; }
+
+	setTargetAltitude( altitude )
+	{
+		for ( var i=0; i<this.members.length; ++i ) this.members[i].controller.targetAltitude = altitude;
+	}
+
+	// Returns the position of the i-th member's slot on the ground as [x,y]
+	slot( i )
+	{
+		var leader = this.leader.flight;
+		var s = formations[ this.formation ]( i, this.members.length - 1, this.spacing );
+		return Mat3.transformPoint( GetTransform( leader.x, leader.y, leader.heading, 1 ), s[0], s[1] );
+	}
+
+	// Advances all the UAVs by dt seconds. Without waypoints the leader turns by turn times 90 degrees
+	// per second and flies forward at the cruise speed of its altitude.
+	update( dt, turn )
+	{
+		var leader = this.leader;
+		var speed  = leader.controller.targetAltitude * this.cruiseSpeed;
+		// Turn slowly enough for the farthest slot to keep up
+		var radius = 0;
+		for ( var i=1; i<this.members.length; ++i ) {
+			var s = formations[ this.formation ]( i, this.members.length - 1, this.spacing );
+			radius = Math.max( radius, Math.sqrt( s[0]*s[0] + s[1]*s[1] ) );
+		}
+		var maxYawRate = Math.min( 45, ( this.maxSpeed - speed ) / 2 / ( radius || 1 ) * 180/Math.PI );
+		if ( this.waypoints.length > 0 ) {
+			var w  = this.waypoints[0];
+			var dx = w[0] - leader.flight.x;
+			var dy = w[1] - leader.flight.y;
+			var d  = Math.sqrt( dx*dx + dy*dy );
+			if ( d < this.arrivalRadius ) this.waypoints.shift();
+			var heading = Math.atan2( dx, -dy ) * 180/Math.PI;
+			this.steer( leader, heading, [ dx, dy ], Math.min( speed, d ), maxYawRate );
+		} else {
+			this.steer( leader, leader.flight.heading + turn * 90, leader.flight.forward(), speed, maxYawRate );
+		}
+
+		// The followers move with their slots, which turn around the leader, and close the distance to them
+		var l = leader.flight;
+		for ( var i=1; i<this.members.length; ++i ) {
+			var m = this.members[i];
+			var p = this.slot(i);
+			var v = [
+				l.vx - l.yawRate * ( p[1] - l.y ) + 1.5 * ( p[0] - m.flight.x ),
+				l.vy + l.yawRate * ( p[0] - l.x ) + 1.5 * ( p[1] - m.flight.y ),
+			];
+			this.steer( m, l.heading, v, Math.sqrt( v[0]*v[0] + v[1]*v[1] ), 90 );
+		}
+
+		for ( var i=0; i<this.members.length; ++i ) {
+			this.members[i].controller.update( dt );
+			this.members[i].flight.update( dt );
+		}
+	}
+
+	// Sets the controller of the member to turn to the heading, at most at maxYawRate degrees per second,
+	// and fly in the direction at the given speed. Near other members, the velocity that keeps them apart takes over.
+	steer( member, heading, direction, speed, maxYawRate )
+	{
+		var f = member.flight;
+		var c = member.controller;
+		var a = this.avoidance( member );
+		var len = Math.sqrt( direction[0]*direction[0] + direction[1]*direction[1] );
+		var s = Math.min( speed, this.maxSpeed ) / ( len || 1 ) * ( 1 - a.weight );
+		c.targetVelocity = [ direction[0] * s + a.velocity[0], direction[1] * s + a.velocity[1] ];
+		c.targetYawRate  = Math.min( Math.max( 2 * AngleDifference( heading, f.heading ), -maxYawRate ), maxYawRate );
+	}
+
+	// Returns the velocity that moves the member away from the members closer than the safe distance,
+	// and its weight from 0 when they are all at least that far to 1 when one of them touches the member
+	avoidance( member )
+	{
+		var f = member.flight;
+		var v = [ 0, 0 ];
+		var weight = 0;
+		for ( var i=0; i<this.members.length; ++i ) {
+			var o = this.members[i].flight;
+			if ( o == f ) continue;
+			var dx = f.x - o.x;
+			var dy = f.y - o.y;
+			var d  = Math.sqrt( dx*dx + dy*dy );
+			if ( d >= this.safeDistance ) continue;
+			if ( d < 1e-6 ) {
+				// Exactly on top of each other: split along the order of the members
+				dx = this.members.indexOf( member ) < i ? -1 : 1;
+				dy = 0;
+				d  = 1;
+			}
+			var w = ( this.safeDistance - d ) / this.safeDistance;
+			weight = Math.max( weight, w );
+			v[0] += dx * 10 * w / d;
+			v[1] += dy * 10 * w / d;
+		}
+		return { velocity: v, weight: weight };
+	}
+}
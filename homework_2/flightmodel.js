@@ -0,0 +1,231 @@
+// A simple flight model of a quadcopter seen from above.
+// Units are SI: meters, seconds, kilograms, newtons and radians, except for the heading, which is
+// in degrees like the rotation of GetTransform. The ground plane uses screen directions: x points
+// right and y points down. A heading of 0 faces up on the screen and positive angles turn clockwise.
+//
+// Each propeller produces a thrust and a reaction torque that grow with the square of its spin rate.
+// The differences between the thrusts tilt the craft, the tilted thrust accelerates it over the
+// ground, and the reaction torques of the propellers that spin in opposite directions turn it.
+
+// Propellers in the body frame: forward and right offsets in units of the arm length,
+// and the spin direction seen from above (1 is clockwise)
+var quadPropellers = [
+		{ forward: 1, right:-1, dir: 1 },	// front left
+		{ forward: 1, right: 1, dir:-1 },	// front right
+		{ forward:-1, right:-1, dir:-1 },	// rear left
+		{ forward:-1, right: 1, dir: 1 },	// rear right
+	];
+
+// Wind that blows with a constant velocity plus gusts that vary smoothly over space and time
+class WindField
+{
+	constructor( params )
+	{
+		params = params || {};
+		this.x           = params.x           || 0;	// constant wind velocity (m/s)
+		this.y           = params.y           || 0;
+		this.gust        = params.gust        || 0;	// amplitude of the gusts (m/s)
+		this.gustPeriod  = params.gustPeriod  || 5;	// seconds
+		this.gustLength  = params.gustLength  || 20;	// size of the gusts (m)
+	}
+
+	// Returns the wind velocity at the given position and time as [x,y]
+	velocity( x, y, t )
+	{
+		if ( ! this.gust ) return [ this.x, this.y ];
+		var w = 2 * Math.PI / this.gustPeriod;
+		var k = 2 * Math.PI / this.gustLength;
+		var gx = Math.sin( w*t + k*y ) * Math.cos( 0.7*w*t - k*x );
+		var gy = Math.cos( 1.3*w*t + k*x ) * Math.sin( 0.5*w*t + k*y );
+		return [ this.x + this.gust * gx, this.y + this.gust * gy ];
+	}
+}
+
+class FlightModel
+{
+	constructor( params )
+	{
+		params = params || {};
+		this.mass          = params.mass          || 1.5;	// kg
+		this.gravity       = params.gravity       || 9.81;	// m/s^2
+		this.armLength     = params.armLength     || 0.25;	// distance of the propellers from the center along each axis (m)
+		this.inertia       = params.inertia       || { pitch:0.02, roll:0.02, yaw:0.04 };	// kg m^2
+		this.thrustCoef    = params.thrustCoef    || 2.3e-5;	// thrust per squared spin rate (N s^2)
+		this.torqueCoef    = params.torqueCoef    || 4e-7;	// reaction torque per squared spin rate (N m s^2)
+		this.motorTime     = params.motorTime     || 0.05;	// time constant of the motors (s)
+		this.maxSpin       = params.maxSpin       || 900;	// rad/s
+		this.linearDrag    = params.linearDrag    || 0.3;	// N per m/s of air speed
+		this.quadraticDrag = params.quadraticDrag || 0.01;	// N per (m/s)^2 of air speed
+		this.angularDrag   = params.angularDrag   || 0.02;	// N m per rad/s
+		this.wind          = params.wind          || new WindField();
+		this.propellers    = quadPropellers;
+		this.reset();
+	}
+
+	reset()
+	{
+		this.time     = 0;
+		this.x        = 0;	// position on the ground (m)
+		this.y        = 0;
+		this.altitude = 0;	// m
+		this.vx       = 0;	// velocity (m/s)
+		this.vy       = 0;
+		this.vz       = 0;
+		this.heading  = 0;	// degrees
+		this.pitch    = 0;	// forward tilt (rad)
+		this.roll     = 0;	// rightward tilt (rad)
+		this.pitchRate = 0;	// rad/s
+		this.rollRate  = 0;
+		this.yawRate   = 0;
+		this.spin     = [ 0, 0, 0, 0 ];	// spin rates of the propellers (rad/s)
+		this.command  = [ 0, 0, 0, 0 ];	// spin rates the motors are driven to
+		this.propellerAngles = [ 0, 0, 0, 0 ];	// degrees, for rendering
+	}
+
+	// Unit vectors of the forward and right directions on the ground
+	forward() { var h = this.heading * Math.PI/180; return [  Math.sin(h), -Math.cos(h) ]; }
+	right()   { var h = this.heading * Math.PI/180; return [  Math.cos(h),  Math.sin(h) ]; }
+
+	// Sets the spin rates the motors are driven to, clamped to the range of the motors
+	setCommand( spin )
+	{
+		for ( var i=0; i<4; ++i ) this.command[i] = Math.min( Math.max( spin[i], 0 ), this.maxSpin );
+	}
+
+	// Advances the simulation by dt seconds in steps short enough to keep it stable
+	update( dt )
+	{
+		var steps = Math.ceil( dt / 0.005 );
+		for ( var i=0; i<steps; ++i ) this.step( dt / steps );
+	}
+
+	step( dt )
+	{
+		// Motors
+		var k = Math.min( 1, dt / this.motorTime );
+		var thrust = 0, pitchTorque = 0, rollTorque = 0, yawTorque = 0;
+		for ( var i=0; i<4; ++i ) {
+			var p = this.propellers[i];
+			this.spin[i] += ( this.command[i] - this.spin[i] ) * k;
+			var w2 = this.spin[i] * this.spin[i];
+			var t  = this.thrustCoef * w2;
+			thrust      += t;
+			pitchTorque -= p.forward * t * this.armLength;	// the rear propellers push the nose down
+			rollTorque  -= p.right   * t * this.armLength;	// the left propellers push the right side down
+			yawTorque   -= p.dir * this.torqueCoef * w2;	// the reaction turns the body against the propeller
+			this.propellerAngles[i] = ( this.propellerAngles[i] + p.dir * this.spin[i] * dt * 180/Math.PI ) % 360;
+		}
+
+		// Rotation
+		var landed = this.altitude <= 0 && this.vz <= 0;
+		this.pitchRate += ( pitchTorque - this.angularDrag * this.pitchRate ) / this.inertia.pitch * dt;
+		this.rollRate  += ( rollTorque  - this.angularDrag * this.rollRate  ) / this.inertia.roll  * dt;
+		this.yawRate   += ( yawTorque   - this.angularDrag * this.yawRate   ) / this.inertia.yaw   * dt;
+		if ( landed ) {
+			// The ground holds the craft level and stops it from turning
+			this.pitch = this.roll = 0;
+			this.pitchRate = this.rollRate = this.yawRate = 0;
+		}
+		this.pitch   += this.pitchRate * dt;
+		this.roll    += this.rollRate  * dt;
+		this.heading += this.yawRate   * dt * 180/Math.PI;
+
+		// Forces: the tilted thrust, gravity and the drag of the air, which moves with the wind
+		var f = this.forward();
+		var r = this.right();
+		var tf = thrust * Math.sin( this.pitch );
+		var tr = thrust * Math.sin( this.roll  );
+		var wind = this.wind.velocity( this.x, this.y, this.time );
+		var ax = this.vx - wind[0];
+		var ay = this.vy - wind[1];
+		var az = this.vz;
+		var airSpeed = Math.sqrt( ax*ax + ay*ay + az*az );
+		var drag = this.linearDrag + this.quadraticDrag * airSpeed;
+		var fx = f[0]*tf + r[0]*tr - drag * ax;
+		var fy = f[1]*tf + r[1]*tr - drag * ay;
+		var fz = thrust * Math.cos( this.pitch ) * Math.cos( this.roll ) - drag * az - this.mass * this.gravity;
+
+		this.vx += fx / this.mass * dt;
+		this.vy += fy / this.mass * dt;
+		this.vz += fz / this.mass * dt;
+		if ( landed && this.vz < 0 ) this.vz = 0;
+		if ( this.altitude <= 0 && this.vz <= 0 ) this.vx = this.vy = 0;	// friction of the ground
+		this.x        += this.vx * dt;
+		this.y        += this.vy * dt;
+		this.altitude += this.vz * dt;
+		if ( this.altitude < 0 ) {
+			this.altitude = 0;
+			this.vz = 0;
+		}
+		this.time += dt;
+	}
+}
+
+// Drives the motors of a flight model to hold a target altitude, fly with a target ground velocity
+// and turn with a target yaw rate. The velocity is either targetVelocity or, if that is null,
+// targetSpeed along the heading. Without input the craft hovers in place, leaning into the wind.
+class HoverController
+{
+	constructor( model )
+	{
+		this.model = model;
+		this.targetAltitude = 0;	// m
+		this.targetSpeed    = 0;	// forward speed over the ground (m/s)
+		this.targetVelocity = null;	// [x,y] velocity over the ground (m/s)
+		this.targetYawRate  = 0;	// degrees per second, positive is clockwise
+		this.maxTilt        = 35 * Math.PI/180;
+		this.integral       = [ 0, 0 ];	// accumulated velocity error, which cancels drag and wind
+	}
+
+	update( dt )
+	{
+		var m = this.model;
+		var g = m.gravity;
+
+		// Landed with nowhere to go: stop the motors
+		if ( this.targetAltitude <= 0 && m.altitude <= 0.01 ) {
+			this.integral = [ 0, 0 ];
+			m.setCommand( [ 0, 0, 0, 0 ] );
+			return;
+		}
+
+		// Altitude: the vertical acceleration that brings the craft to the target altitude
+		var az = 4 * ( this.targetAltitude - m.altitude ) - 3 * m.vz;
+		az = Math.min( Math.max( az, -0.5*g ), g );
+		var tilt = Math.max( Math.cos( m.pitch ) * Math.cos( m.roll ), 0.5 );
+		var collective = m.mass * ( g + az ) / tilt;
+
+		// Velocity: the tilt that accelerates the craft to the target velocity, in the body frame
+		var f = m.forward();
+		var r = m.right();
+		var v  = this.targetVelocity || [ f[0] * this.targetSpeed, f[1] * this.targetSpeed ];
+		var ex = v[0] - m.vx;
+		var ey = v[1] - m.vy;
+		if ( m.altitude > 0.05 ) {
+			this.integral[0] = Math.min( Math.max( this.integral[0] + ex * dt, -20 ), 20 );
+			this.integral[1] = Math.min( Math.max( this.integral[1] + ey * dt, -20 ), 20 );
+		}
+		var accX = 3 * ex + 1 * this.integral[0];
+		var accY = 3 * ey + 1 * this.integral[1];
+		var maxTilt = this.maxTilt;
+		var pitchTarget = Math.min( Math.max( Math.atan2( f[0]*accX + f[1]*accY, g ), -maxTilt ), maxTilt );
+		var rollTarget  = Math.min( Math.max( Math.atan2( r[0]*accX + r[1]*accY, g ), -maxTilt ), maxTilt );
+
+		// Attitude: the torques that bring the craft to the target tilt and yaw rate
+		var pitchTorque = m.inertia.pitch * ( 60 * ( pitchTarget - m.pitch ) - 12 * m.pitchRate );
+		var rollTorque  = m.inertia.roll  * ( 60 * ( rollTarget  - m.roll  ) - 12 * m.rollRate  );
+		var yawTorque   = m.inertia.yaw   * 8 * ( this.targetYawRate * Math.PI/180 - m.yawRate );
+
+		// Mix the collective thrust and the torques into the thrusts of the propellers
+		var spin = [];
+		for ( var i=0; i<4; ++i ) {
+			var p = m.propellers[i];
+			var t = collective / 4
+			      - p.forward * pitchTorque / ( 4 * m.armLength )
+			      - p.right   * rollTorque  / ( 4 * m.armLength )
+			      - p.dir     * yawTorque * m.thrustCoef / ( 4 * m.torqueCoef );
+			spin.push( Math.sqrt( Math.max( t, 0 ) / m.thrustCoef ) );
+		}
+		m.setCommand( spin );
+	}
+}
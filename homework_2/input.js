@@ -0,0 +1,202 @@
+// Input from the keyboard, the mouse, gamepads and touch screens, mapped to named actions.
+//
+// Axes are continuous actions between -1 and 1, read every frame with axis(). Triggers are actions
+// that happen once, like a key press, and call the functions registered with on(). The bindings map
+// keys, gamepad axes and gamepad buttons to actions and can be changed with bind():
+//   a binding to an axis is [ name, factor ], where the factor scales the value of the input,
+//   a binding to a trigger is the name of the trigger.
+// Pointer input is not bound: the mouse and one-finger drags trigger "move" with the screen position
+// and the element under the pointer,
+// and two-finger pinches and rotations are accumulated until takeGesture() is called.
+
+class InputManager
+{
+	constructor( element )
+	{
+		this.bindings = {
+			keys: {
+				"a": [ "yaw",     -1 ], "ArrowLeft" : [ "yaw",     -1 ],
+				"d": [ "yaw",      1 ], "ArrowRight": [ "yaw",      1 ],
+				"w": [ "zoom",     1 ], "ArrowUp"   : [ "zoom",     1 ],
+				"s": [ "zoom",    -1 ], "ArrowDown" : [ "zoom",    -1 ],
+				"q": [ "throttle", 1 ], "PageUp"    : [ "throttle", 1 ],
+				"e": [ "throttle",-1 ], "PageDown"  : [ "throttle",-1 ],
+				"j": [ "sunAzimuth",  -1 ], "l": [ "sunAzimuth",   1 ],
+				"i": [ "sunElevation", 1 ], "k": [ "sunElevation",-1 ],
+				"f": "formation",
+				"c": "clearMission",
+				"r": "record",
+				"t": "timeline",
+				" ": "playPause",
+				"h": "help",
+				"F6": "reloadScript",
+			},
+			// Standard gamepad layout: left stick, right stick, face buttons, triggers
+			gamepadAxes: {
+				0: [ "yaw",       1 ],	// left stick right
+				1: [ "throttle", -1 ],	// left stick up
+				3: [ "zoom",     -1 ],	// right stick up
+			},
+			gamepadButtons: {
+				0: "formation",	// A
+				1: "clearMission",	// B
+				2: "record",	// X
+				9: "playPause",	// Start
+				8: "help",	// Back
+				6: [ "throttle", -1 ],	// left trigger
+				7: [ "throttle",  1 ],	// right trigger
+			},
+		};
+		this.deadZone = 0.15;	// gamepad axes below this are ignored
+		this.handlers = {};
+		this.keysDown = {};
+		this.buttonsDown = {};	// gamepad index -> pressed buttons
+		this.gesture  = { scale: 1, rotation: 0 };
+		this.touches  = null;	// the two touches of a gesture
+		element = element || document;
+		element.addEventListener( 'keydown',    this.keyDown.bind(this) );
+		element.addEventListener( 'keyup',      this.keyUp.bind(this) );
+		element.addEventListener( 'mousemove',  this.mouseMove.bind(this) );
+		element.addEventListener( 'touchstart', this.touch.bind(this), { passive: false } );
+		element.addEventListener( 'touchmove',  this.touch.bind(this), { passive: false } );
+		element.addEventListener( 'touchend',   this.touch.bind(this) );
+		element.addEventListener( 'touchcancel',this.touch.bind(this) );
+		window.addEventListener( 'blur', function() { this.keysDown = {}; }.bind(this) );
+	}
+
+	// Binds an input to an action. The source is "keys", "gamepadAxes" or "gamepadButtons".
+	// A null action removes the binding.
+	bind( source, input, action )
+	{
+		if ( action == null ) delete this.bindings[ source ][ input ];
+		else this.bindings[ source ][ input ] = action;
+	}
+
+	// Calls the handler when the trigger happens
+	on( action, handler )
+	{
+		( this.handlers[ action ] = this.handlers[ action ] || [] ).push( handler );
+	}
+
+	emit( action )
+	{
+		var args = Array.prototype.slice.call( arguments, 1 );
+		var h = this.handlers[ action ] || [];
+		for ( var i=0; i<h.length; ++i ) h[i].apply( null, args );
+	}
+
+	// Returns the value of the axis from all the inputs bound to it, between -1 and 1
+	axis( name )
+	{
+		var v = 0;
+		var keys = this.bindings.keys;
+		for ( var k in this.keysDown ) {
+			var b = keys[k];
+			if ( Array.isArray(b) && b[0] == name ) v += b[1];
+		}
+		var pads = navigator.getGamepads ? navigator.getGamepads() : [];
+		for ( var p=0; p<pads.length; ++p ) {
+			var pad = pads[p];
+			if ( ! pad ) continue;
+			for ( var a in this.bindings.gamepadAxes ) {
+				var b = this.bindings.gamepadAxes[a];
+				var x = pad.axes[a] || 0;
+				if ( b[0] == name && Math.abs(x) > this.deadZone ) v += b[1] * x;
+			}
+			for ( var i in this.bindings.gamepadButtons ) {
+				var b = this.bindings.gamepadButtons[i];
+				if ( Array.isArray(b) && b[0] == name && pad.buttons[i] ) v += b[1] * pad.buttons[i].value;
+			}
+		}
+		return Math.min( Math.max( v, -1 ), 1 );
+	}
+
+	// Fires the triggers of the gamepad buttons that have been pressed since the last call.
+	// Gamepads have no events for their buttons, so this must be called every frame.
+	poll()
+	{
+		var pads = navigator.getGamepads ? navigator.getGamepads() : [];
+		for ( var p=0; p<pads.length; ++p ) {
+			var pad = pads[p];
+			if ( ! pad ) continue;
+			var down = this.buttonsDown[ pad.index ] = this.buttonsDown[ pad.index ] || {};
+			for ( var i in this.bindings.gamepadButtons ) {
+				var b = this.bindings.gamepadButtons[i];
+				var pressed = pad.buttons[i] && pad.buttons[i].pressed;
+				if ( pressed && ! down[i] && typeof b == "string" ) this.emit( b );
+				down[i] = pressed;
+			}
+		}
+	}
+
+	// Returns the scale factor and the clockwise rotation in degrees of the two-finger gestures
+	// since the last call
+	takeGesture()
+	{
+		var g = this.gesture;
+		this.gesture = { scale: 1, rotation: 0 };
+		return g;
+	}
+
+	keyDown( e )
+	{
+		if ( UsesKey( e.target, e.key ) ) return;
+		var b = this.bindings.keys[ e.key ];
+		if ( b === undefined ) return;
+		if ( Array.isArray(b) ) this.keysDown[ e.key ] = true;
+		else if ( ! e.repeat ) this.emit( b );
+	}
+
+	keyUp( e )
+	{
+		delete this.keysDown[ e.key ];
+	}
+
+	mouseMove( e )
+	{
+		this.emit( "move", e.clientX, e.clientY, e.target );
+	}
+
+	touch( e )
+	{
+		var t = e.touches;
+		if ( t.length == 1 ) {
+			if ( e.type == "touchmove" ) e.preventDefault();	// do not scroll the page
+			this.touches = null;
+			this.emit( "move", t[0].clientX, t[0].clientY, t[0].target );
+		} else if ( t.length == 2 ) {
+			e.preventDefault();
+			var dx = t[1].clientX - t[0].clientX;
+			var dy = t[1].clientY - t[0].clientY;
+			var g = { distance: Math.sqrt( dx*dx + dy*dy ), angle: Math.atan2( dy, dx ) * 180/Math.PI };
+			if ( this.touches && this.touches.distance > 0 ) {
+				var da = ( g.angle - this.touches.angle ) % 360;
+				if ( da >  180 ) da -= 360;
+				if ( da < -180 ) da += 360;
+				this.gesture.scale    *= g.distance / this.touches.distance;
+				this.gesture.rotation += da;
+			}
+			this.touches = g;
+		} else {
+			this.touches = null;
+		}
+	}
+}
+
+// Returns true if the element handles the key itself, like a text field or a focused button
+function UsesKey( element, key )
+{
+	if ( ! element || ! element.tagName ) return false;
+	switch ( element.tagName ) {
+		case "TEXTAREA":
+			return true;
+		case "INPUT":
+			if ( element.type == "range" ) return key.startsWith("Arrow") || key == "Home" || key == "End" || key == "PageUp" || key == "PageDown";
+			return element.type != "checkbox" && element.type != "radio" && element.type != "button" && element.type != "file";
+		case "SELECT":
+			return key.startsWith("Arrow") || key == " " || key == "Enter";
+		case "BUTTON":
+			return key == " " || key == "Enter";
+	}
+	return false;
+}
@@ -0,0 +1,161 @@
+// 3x3 matrices for 2D transformations.
+// The matrices are arrays of 9 values in column-major order, the same layout GetTransform returns:
+//
+//   m[0]  m[3]  m[6]
+//   m[1]  m[4]  m[7]
+//   m[2]  m[5]  m[8]
+//
+// Angles are in degrees. Points are transformed as column vectors, so multiply(a, b) first applies b and then a.
+
+var Mat3 = {
+
+	identity: function() {
+		return [ 1,0,0, 0,1,0, 0,0,1 ];
+	},
+
+	translation: function( x, y ) {
+		return [ 1,0,0, 0,1,0, x,y,1 ];
+	},
+
+	// Counter-clockwise rotation around the origin in a y-up frame, which is clockwise on the screen
+	rotation: function( degrees ) {
+		var radians = degrees * Math.PI / 180;
+		var c = Math.cos(radians);
+		var s = Math.sin(radians);
+		return [ c,s,0, -s,c,0, 0,0,1 ];
+	},
+
+	// Scales x by sx and y by sy. A single argument scales uniformly.
+	scaling: function( sx, sy ) {
+		if ( sy === undefined ) sy = sx;
+		return [ sx,0,0, 0,sy,0, 0,0,1 ];
+	},
+
+	// Moves x by shx times y and y by shy times x
+	shear: function( shx, shy ) {
+		return [ 1,shy,0, shx,1,0, 0,0,1 ];
+	},
+
+	// Rotation around the pivot point (px,py)
+	rotationAbout: function( degrees, px, py ) {
+		return Mat3.compose( Mat3.translation( -px, -py ), Mat3.rotation( degrees ), Mat3.translation( px, py ) );
+	},
+
+	// Returns a*b, which first applies b and then a
+	multiply: function( a, b ) {
+		var m = new Array(9);
+		for ( var c=0; c<3; ++c ) {
+			for ( var r=0; r<3; ++r ) {
+				m[ c*3 + r ] = a[r] * b[c*3] + a[3 + r] * b[c*3 + 1] + a[6 + r] * b[c*3 + 2];
+			}
+		}
+		return m;
+	},
+
+	// Returns the transformation that applies the given transformations in order, first to last
+	compose: function() {
+		var m = Mat3.identity();
+		for ( var i=0; i<arguments.length; ++i ) m = Mat3.multiply( arguments[i], m );
+		return m;
+	},
+
+	determinant: function( m ) {
+		return m[0] * ( m[4]*m[8] - m[5]*m[7] )
+		     - m[3] * ( m[1]*m[8] - m[2]*m[7] )
+		     + m[6] * ( m[1]*m[5] - m[2]*m[4] );
+	},
+
+	// Returns the inverse matrix, or null if the matrix is singular
+	inverse: function( m ) {
+		var det = Mat3.determinant(m);
+		if ( det === 0 || ! isFinite(det) ) return null;
+		return [
+			( m[4]*m[8] - m[5]*m[7] ) / det,
+			( m[2]*m[7] - m[1]*m[8] ) / det,
+			( m[1]*m[5] - m[2]*m[4] ) / det,
+
+			( m[5]*m[6] - m[3]*m[8] ) / det,
+			( m[0]*m[8] - m[2]*m[6] ) / det,
+			( m[2]*m[3] - m[0]*m[5] ) / det,
+
+			( m[3]*m[7] - m[4]*m[6] ) / det,
+			( m[1]*m[6] - m[0]*m[7] ) / det,
+			( m[0]*m[4] - m[1]*m[3] ) / det
+		];
+	},
+
+	transpose: function( m ) {
+		return [ m[0],m[3],m[6], m[1],m[4],m[7], m[2],m[5],m[8] ];
+	},
+
+	// Transforms the point (x,y), including the translation and the perspective divide
+	transformPoint: function( m, x, y ) {
+		var w = m[2]*x + m[5]*y + m[8];
+		return [ ( m[0]*x + m[3]*y + m[6] ) / w, ( m[1]*x + m[4]*y + m[7] ) / w ];
+	},
+
+	// Transforms the direction (x,y), which ignores the translation
+	transformVector: function( m, x, y ) {
+		return [ m[0]*x + m[3]*y, m[1]*x + m[4]*y ];
+	},
+
+	// Splits an affine transformation into the parts that recompose builds it from:
+	// first scale (scaleX, scaleY), then shear x by y, then rotation, and finally translation.
+	// A mirrored transformation has a negative scaleY.
+	decompose: function( m ) {
+		var a = m[0], b = m[1], c = m[3], d = m[4];
+		var scaleX = Math.sqrt( a*a + b*b );
+		var det = a*d - b*c;
+		var scaleY = scaleX > 0 ? det / scaleX : Math.sqrt( c*c + d*d );
+		return {
+			positionX: m[6],
+			positionY: m[7],
+			rotation : Math.atan2( b, a ) * 180 / Math.PI,
+			scaleX   : scaleX,
+			scaleY   : scaleY,
+			shear    : det !== 0 ? ( a*c + b*d ) / det : 0,
+		};
+	},
+
+	// Builds an affine transformation from the parts returned by decompose
+	recompose: function( p ) {
+		return Mat3.compose(
+			Mat3.scaling( p.scaleX, p.scaleY ),
+			Mat3.shear( p.shear || 0, 0 ),
+			Mat3.rotation( p.rotation ),
+			Mat3.translation( p.positionX, p.positionY )
+		);
+	},
+
+	// Projects a plane in 3D onto the ground (z = 0) along the given direction, as for a shadow under a distant light.
+	// The plane passes through origin and is spanned by axisX and axisY, which are [x,y,z] vectors.
+	// Returns the transformation from the (u,v) coordinates of the plane to the ground, or null if the direction
+	// is parallel to the ground.
+	planarProjection: function( origin, axisX, axisY, direction ) {
+		if ( direction[2] === 0 ) return null;
+		var kx = direction[0] / direction[2];
+		var ky = direction[1] / direction[2];
+		return [
+			axisX [0] - axisX [2]*kx, axisX [1] - axisX [2]*ky, 0,
+			axisY [0] - axisY [2]*kx, axisY [1] - axisY [2]*ky, 0,
+			origin[0] - origin[2]*kx, origin[1] - origin[2]*ky, 1
+		];
+	},
+
+	// Returns true if the matrices are equal within the given tolerance
+	equals: function( a, b, epsilon ) {
+		if ( epsilon === undefined ) epsilon = 1e-9;
+		for ( var i=0; i<9; ++i ) {
+			if ( Math.abs( a[i] - b[i] ) > epsilon ) return false;
+		}
+		return true;
+	},
+
+	// Returns the CSS matrix() function of the affine transformation
+	toCSS: function( m ) {
+		return "matrix(" + m[0] + "," + m[1] + "," + m[3] + "," + m[4] + "," + m[6] + "," + m[7] + ")";
+	},
+};
+
+// Node scripts can require this file to use the library without a browser
+if ( typeof module !== "undefined" && module.exports ) module.exports = Mat3;
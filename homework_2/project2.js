@@ -1,11 +1,13 @@
 // Returns a 3x3 transformation matrix as an array of 9 values in column-major order.
 // The transformation first applies scale, then rotation, and finally translation.
 // The given rotation value is in degrees.
+// This file is submitted on its own, so it does not use the Mat3 library in mat3.js,
+// but its matrices have the same layout and can be mixed with those of Mat3.
 function GetTransform( positionX, positionY, rotation, scale ) {
 	// we need to convert the rotation from degrees to radians
 	let radians = rotation * Math.PI / 180;
 	let cosTheta = Math.cos(radians);
-	let sinTheta = Math.sin(radians)
+	let sinTheta = Math.sin(radians);
 
 	// REMEMBER: we are using column-major order in our matrices
 	return [
@@ -33,3 +35,6 @@ function ApplyTransform( trans1, trans2 ) {
 		trans2[2] * trans1[6] + trans2[5] * trans1[7] + trans2[8] * trans1[8]
 	];
 }
+
+// Node scripts can require this file to check the transformations without a browser
+if ( typeof module !== "undefined" && module.exports ) module.exports = { GetTransform, ApplyTransform };
@@ -0,0 +1,137 @@
+// Recording and replay of the state of the UAV demo.
+//
+// A log is a JSON object:
+//   { version:1, query, pixelsPerMeter, altitudePerMeter, ticks:[ tick, ... ] }
+// where query is the query string of the page that recorded it and each tick is
+//   { t, view:{ positionX, positionY, scale }, ground:[x,y],
+//     uavs:[ { x, y, heading, altitude, pitch, roll, propellers:[a0,a1,a2,a3] }, ... ] }
+// t is the simulation time in seconds, ground is the screen position of the origin of the ground,
+// positions and altitudes are in meters, pitch and roll in radians and the other angles in degrees.
+// Logs recorded before pitch and roll were added replay the UAVs level.
+
+class FlightRecorder
+{
+	constructor()
+	{
+		this.recording = false;
+		this.ticks = [];
+	}
+
+	start()
+	{
+		this.ticks = [];
+		this.recording = true;
+	}
+
+	stop()
+	{
+		this.recording = false;
+	}
+
+	// Adds the state at simulation time t, if recording
+	record( t, state )
+	{
+		if ( ! this.recording ) return;
+		this.ticks.push( {
+			t     : t,
+			view  : { positionX: state.view.positionX, positionY: state.view.positionY, scale: state.view.scale },
+			ground: state.ground.slice(),
+			uavs  : state.uavs.map( function(u) {
+				return { x:u.x, y:u.y, heading:u.heading, altitude:u.altitude, pitch:u.pitch, roll:u.roll, propellers:u.propellers.slice() };
+			}),
+		});
+	}
+
+	// Returns the log of the recorded ticks
+	getLog( query, pixelsPerMeter, altitudePerMeter )
+	{
+		return { version:1, query:query, pixelsPerMeter:pixelsPerMeter, altitudePerMeter:altitudePerMeter, ticks:this.ticks };
+	}
+}
+
+// Plays a log back. The state at any time is interpolated from the two ticks around it,
+// so the same time always gives the same state regardless of the frame rate of the replay.
+class FlightReplay
+{
+	constructor( log )
+	{
+		if ( ! log || log.version != 1 || ! Array.isArray( log.ticks ) || log.ticks.length == 0 ) {
+			throw new Error( "Not a flight log" );
+		}
+		this.log     = log;
+		this.ticks   = log.ticks;
+		this.start   = this.ticks[0].t;
+		this.duration = this.ticks[ this.ticks.length - 1 ].t - this.start;
+		this.time    = 0;	// seconds from the first tick
+		this.speed   = 1;
+		this.playing = true;
+	}
+
+	get uavCount() { return this.ticks[0].uavs.length; }
+
+	// Advances the replay by dt seconds of real time and pauses at the end
+	update( dt )
+	{
+		if ( ! this.playing ) return;
+		this.seek( this.time + dt * this.speed );
+		if ( this.time >= this.duration ) this.playing = false;
+	}
+
+	seek( time )
+	{
+		this.time = Math.min( Math.max( time, 0 ), this.duration );
+	}
+
+	// Returns the index of the last tick at or before the given time from the first tick
+	tickIndex( time )
+	{
+		var t = this.start + time;
+		var lo = 0, hi = this.ticks.length - 1;
+		while ( lo < hi ) {
+			var mid = ( lo + hi + 1 ) >> 1;
+			if ( this.ticks[mid].t <= t ) lo = mid; else hi = mid - 1;
+		}
+		return lo;
+	}
+
+	// Returns the state at the current time, in the format of the ticks
+	getState()
+	{
+		var i  = this.tickIndex( this.time );
+		var a  = this.ticks[i];
+		var b  = this.ticks[ Math.min( i+1, this.ticks.length-1 ) ];
+		var k  = b.t > a.t ? ( this.start + this.time - a.t ) / ( b.t - a.t ) : 0;
+		function lerp( x, y ) { return x + ( y - x ) * k; }
+		function lerpAngle( x, y ) { return x + AngleDifference( y, x ) * k; }
+		return {
+			view: {
+				positionX: lerp( a.view.positionX, b.view.positionX ),
+				positionY: lerp( a.view.positionY, b.view.positionY ),
+				scale    : lerp( a.view.scale,     b.view.scale     ),
+			},
+			ground: [ lerp( a.ground[0], b.ground[0] ), lerp( a.ground[1], b.ground[1] ) ],
+			uavs: a.uavs.map( function( u, n ) {
+				var v = b.uavs[n];
+				return {
+					x       : lerp( u.x, v.x ),
+					y       : lerp( u.y, v.y ),
+					heading : lerpAngle( u.heading, v.heading ),
+					altitude: lerp( u.altitude, v.altitude ),
+					pitch   : lerp( u.pitch || 0, v.pitch || 0 ),
+					roll    : lerp( u.roll  || 0, v.roll  || 0 ),
+					propellers: u.propellers.map( function( p, j ) { return lerpAngle( p, v.propellers[j] ); } ),
+				};
+			}),
+		};
+	}
+
+	// Returns the path of each UAV over the ground as a list of [x,y] points in meters
+	getPaths()
+	{
+		var paths = [];
+		for ( var n=0; n<this.uavCount; ++n ) {
+			paths.push( this.ticks.map( function( tick ) { return [ tick.uavs[n].x, tick.uavs[n].y ]; } ) );
+		}
+		return paths;
+	}
+}
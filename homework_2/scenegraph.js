@@ -0,0 +1,104 @@
+// A small 2D scene graph.
+// Each node has a local transformation relative to its parent, as a 3x3 matrix in the column-major
+// format of GetTransform, and an optional element or sprite that displays it. The world transformation of a
+// node first applies its local transformation and then the world transformation of its parent.
+// World matrices are cached, and changing a local transformation marks the node and all of its
+// descendants dirty, so that only they are recomputed.
+
+class SceneNode
+{
+	constructor( name, element )
+	{
+		this.name     = name;
+		this.element  = element || null;	// the element that displays the node, if any
+		this.sprite   = null;	// { image, width, height } drawn centered at the node's origin by the canvas renderer
+		this.layer    = 0;	// nodes of higher layers are drawn on top
+		this.filter   = "";	// CSS filter applied to the element or sprite
+		this.parent   = null;
+		this.children = [];
+		this.local    = Mat3.identity();
+		this.world    = Mat3.identity();
+		this.dirty    = false;
+	}
+
+	// Adds the given node as the last child of this node and returns it
+	add( child )
+	{
+		if ( child.parent ) child.parent.remove( child );
+		child.parent = this;
+		this.children.push( child );
+		child.markDirty();
+		return child;
+	}
+
+	remove( child )
+	{
+		var i = this.children.indexOf( child );
+		if ( i < 0 ) return;
+		this.children.splice( i, 1 );
+		child.parent = null;
+		child.markDirty();
+	}
+
+	// Sets the local transformation from the given matrix
+	setLocal( m )
+	{
+		this.local = m;
+		this.markDirty();
+	}
+
+	// Sets the local transformation the same way GetTransform builds it:
+	// first scale, then rotation (in degrees), and finally translation
+	setTransform( positionX, positionY, rotation, scale )
+	{
+		this.setLocal( GetTransform( positionX, positionY, rotation, scale ) );
+	}
+
+	markDirty()
+	{
+		// The descendants of a dirty node are already dirty
+		if ( this.dirty ) return;
+		this.dirty = true;
+		for ( var i=0; i<this.children.length; ++i ) this.children[i].markDirty();
+	}
+
+	// Returns the world transformation, recomputing it if the node is dirty
+	getWorld()
+	{
+		if ( this.dirty ) {
+			this.world = this.parent ? ApplyTransform( this.local, this.parent.getWorld() ) : this.local;
+			this.dirty = false;
+		}
+		return this.world;
+	}
+
+	// Calls callback for this node and all of its descendants, parents before their children
+	traverse( callback )
+	{
+		callback( this );
+		for ( var i=0; i<this.children.length; ++i ) this.children[i].traverse( callback );
+	}
+
+	// Returns the first node in the subtree with the given name, or null
+	find( name )
+	{
+		if ( this.name == name ) return this;
+		for ( var i=0; i<this.children.length; ++i ) {
+			var n = this.children[i].find( name );
+			if ( n ) return n;
+		}
+		return null;
+	}
+}
+
+// Positions the elements of all the nodes in the scene with CSS matrix() transformations
+function RenderSceneCSS( root )
+{
+	root.traverse( function( node ) {
+		if ( node.element ) {
+			node.element.style.transform = Mat3.toCSS( node.getWorld() );
+			node.element.style.zIndex = node.layer;
+			node.element.style.filter = node.filter;
+		}
+	});
+}
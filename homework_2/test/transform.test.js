@@ -0,0 +1,135 @@
+// Randomized property tests of GetTransform, ApplyTransform and the Mat3 library.
+// Run them from the homework_2 directory with
+//	node --test test/*.test.js
+// The random values come from a seeded generator with a fixed seed, so every run checks the same cases.
+// Set SEED=<seed> to explore other values, and to repeat a failure with the seed it reports.
+const test = require( "node:test" );
+const assert = require( "node:assert" );
+const { GetTransform, ApplyTransform } = require( "../project2.js" );
+const Mat3 = require( "../mat3.js" );
+
+const seed = process.env.SEED ? Number( process.env.SEED ) : 4600;
+const count = 1000;	// random cases per property
+
+// Returns a function that returns random numbers in [0,1) (mulberry32)
+function SeededRandom( seed ) {
+	let state = seed >>> 0;
+	return function() {
+		state = ( state + 0x6d2b79f5 ) >>> 0;
+		let t = state;
+		t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+		t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+		return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+	};
+}
+const random = SeededRandom( seed );
+const uniform = ( min, max ) => min + ( max - min ) * random();
+
+// Returns a random transformation built from a position, rotation and scale
+function RandomTransform() {
+	return GetTransform( uniform( -500, 500 ), uniform( -500, 500 ), uniform( -360, 360 ), uniform( 0.1, 10 ) );
+}
+
+// Returns a random 3x3 matrix, including perspective ones, that is far from singular
+function RandomMatrix() {
+	for ( ;; ) {
+		const m = [];
+		for ( let i=0; i<9; ++i ) m.push( uniform( -2, 2 ) );
+		if ( Math.abs( Mat3.determinant(m) ) > 0.5 ) return m;
+	}
+}
+
+// Checks that the arrays are equal within a tolerance relative to their magnitude
+function AssertClose( actual, expected, message ) {
+	const scale = Math.max( 1, ...expected.map( Math.abs ) );
+	for ( let i=0; i<expected.length; ++i ) {
+		if ( ! ( Math.abs( actual[i] - expected[i] ) <= 1e-9 * scale ) ) {
+			assert.fail( message + " (seed " + seed + "): [" + actual + "] instead of [" + expected + "]" );
+		}
+	}
+}
+
+test.describe( "ApplyTransform", () => {
+	test.it( "keeps a transformation applied before or after the identity", () => {
+		for ( let i=0; i<count; ++i ) {
+			const m = RandomMatrix();
+			assert.deepStrictEqual( ApplyTransform( m, Mat3.identity() ), m, "seed " + seed );
+			assert.deepStrictEqual( ApplyTransform( Mat3.identity(), m ), m, "seed " + seed );
+		}
+	});
+
+	test.it( "is associative", () => {
+		for ( let i=0; i<count; ++i ) {
+			const a = RandomMatrix(), b = RandomMatrix(), c = RandomMatrix();
+			AssertClose( ApplyTransform( ApplyTransform( a, b ), c ), ApplyTransform( a, ApplyTransform( b, c ) ), "(a b) c != a (b c)" );
+		}
+	});
+
+	test.it( "applies trans1 first and then trans2", () => {
+		for ( let i=0; i<count; ++i ) {
+			const a = RandomMatrix(), b = RandomMatrix();
+			const x = uniform( -100, 100 ), y = uniform( -100, 100 );
+			const p = Mat3.transformPoint( a, x, y );
+			AssertClose( Mat3.transformPoint( ApplyTransform( a, b ), x, y ), Mat3.transformPoint( b, p[0], p[1] ), "point" );
+		}
+	});
+});
+
+test.describe( "GetTransform", () => {
+	test.it( "scales, then rotates and then translates", () => {
+		for ( let i=0; i<count; ++i ) {
+			const x = uniform( -500, 500 ), y = uniform( -500, 500 ), r = uniform( -360, 360 ), s = uniform( 0.1, 10 );
+			const m = GetTransform( x, y, r, s );
+			const expected = ApplyTransform( ApplyTransform( Mat3.scaling(s), Mat3.rotation(r) ), Mat3.translation( x, y ) );
+			AssertClose( m, expected, "GetTransform(" + [ x, y, r, s ] + ")" );
+
+			// The same steps applied to a point by hand
+			const px = uniform( -100, 100 ), py = uniform( -100, 100 );
+			const radians = r * Math.PI / 180;
+			const sx = px * s, sy = py * s;
+			const rx = sx * Math.cos(radians) - sy * Math.sin(radians);
+			const ry = sx * Math.sin(radians) + sy * Math.cos(radians);
+			AssertClose( Mat3.transformPoint( m, px, py ), [ rx + x, ry + y ], "point" );
+		}
+	});
+});
+
+test.describe( "Mat3", () => {
+	test.it( "inverse undoes the transformation", () => {
+		for ( let i=0; i<count; ++i ) {
+			const m = i % 2 ? RandomMatrix() : RandomTransform();
+			const inv = Mat3.inverse(m);
+			assert.ok( inv, "singular matrix (seed " + seed + ")" );
+			AssertClose( Mat3.multiply( m, inv ), Mat3.identity(), "m inverse(m)" );
+			AssertClose( Mat3.multiply( inv, m ), Mat3.identity(), "inverse(m) m" );
+		}
+	});
+
+	test.it( "transforms points there and back with the inverse", () => {
+		for ( let i=0; i<count; ++i ) {
+			const m = RandomTransform();
+			const x = uniform( -1000, 1000 ), y = uniform( -1000, 1000 );
+			const p = Mat3.transformPoint( m, x, y );
+			AssertClose( Mat3.transformPoint( Mat3.inverse(m), p[0], p[1] ), [ x, y ], "round trip" );
+		}
+	});
+
+	test.it( "inverse of a singular matrix is null", () => {
+		assert.strictEqual( Mat3.inverse( Mat3.scaling( 0, 1 ) ), null );
+	});
+
+	test.it( "toCSS lists the column-major values as matrix(a,b,c,d,e,f)", () => {
+		for ( let i=0; i<count; ++i ) {
+			const m = RandomTransform();
+			const css = Mat3.toCSS(m);
+			const match = /^matrix\(([^)]*)\)$/.exec( css );
+			assert.ok( match, css );
+			const [ a, b, c, d, e, f ] = match[1].split( "," ).map( Number );
+			assert.deepStrictEqual( [ a, b, c, d, e, f ], [ m[0], m[1], m[3], m[4], m[6], m[7] ], css + " (seed " + seed + ")" );
+
+			// CSS maps (x,y) to (a x + c y + e, b x + d y + f)
+			const x = uniform( -100, 100 ), y = uniform( -100, 100 );
+			AssertClose( [ a*x + c*y + e, b*x + d*y + f ], Mat3.transformPoint( m, x, y ), css );
+		}
+	});
+});
@@ -0,0 +1,170 @@
+// Keyframe animation of the 2D transformations of scene nodes.
+// A track holds the keys of one node, named by the node's name. Each key sets the position, rotation
+// (in degrees) and scale of the node at a time, and its easing shapes the interpolation to the next key,
+// as in CSS animations. Rotations take the shorter way around the circle (AngleDifference is in fleet.js).
+// The transformation of a frame is built with GetTransform.
+
+// Returns the easing function of a CSS cubic-bezier(x1,y1,x2,y2) timing curve.
+// The curve starts at (0,0) and ends at (1,1), and x1 and x2 must be between 0 and 1.
+function CubicBezier( x1, y1, x2, y2 )
+{
+	function curve( a, b, t ) { return ( ( ( 1 - 3*b + 3*a ) * t + ( 3*b - 6*a ) ) * t + 3*a ) * t; }
+	function slope( a, b, t ) { return 3 * ( 1 - 3*b + 3*a ) * t*t + 2 * ( 3*b - 6*a ) * t + 3*a; }
+	return function( x ) {
+		if ( x <= 0 ) return 0;
+		if ( x >= 1 ) return 1;
+		// Find the curve parameter at x with Newton's method, falling back to bisection where the curve is flat
+		var t = x;
+		for ( var i=0; i<8; ++i ) {
+			var dx = curve( x1, x2, t ) - x;
+			var d  = slope( x1, x2, t );
+			if ( Math.abs(dx) < 1e-7 ) return curve( y1, y2, t );
+			if ( Math.abs(d)  < 1e-6 ) break;
+			t -= dx / d;
+		}
+		var lo = 0, hi = 1;
+		t = x;
+		for ( var i=0; i<40; ++i ) {
+			var v = curve( x1, x2, t );
+			if ( Math.abs( v - x ) < 1e-7 ) break;
+			if ( v < x ) lo = t; else hi = t;
+			t = ( lo + hi ) / 2;
+		}
+		return curve( y1, y2, t );
+	};
+}
+
+// The named easings of CSS
+var easings = {
+	"linear"     : function( x ) { return x; },
+	"ease"       : CubicBezier( 0.25, 0.1, 0.25, 1 ),
+	"ease-in"    : CubicBezier( 0.42, 0,   1,    1 ),
+	"ease-out"   : CubicBezier( 0,    0,   0.58, 1 ),
+	"ease-in-out": CubicBezier( 0.42, 0,   0.58, 1 ),
+};
+
+// Returns the easing function of a name in easings or a "cubic-bezier(x1,y1,x2,y2)" string, or null if it is not valid
+function GetEasing( easing )
+{
+	if ( easings[ easing ] ) return easings[ easing ];
+	var m = /^\s*cubic-bezier\(([^)]*)\)\s*$/.exec( easing || "" );
+	if ( ! m ) return null;
+	var p = m[1].split(',').map( parseFloat );
+	if ( p.length != 4 || p.some( isNaN ) || p[0] < 0 || p[0] > 1 || p[2] < 0 || p[2] > 1 ) return null;
+	return CubicBezier( p[0], p[1], p[2], p[3] );
+}
+
+class KeyframeTrack
+{
+	constructor( target )
+	{
+		this.target = target;	// the name of the animated node
+		this.keys   = [];	// { time, positionX, positionY, rotation, scale, easing }, sorted by time
+	}
+
+	// Sets the key at the given time, replacing a key that is already there, and returns it
+	setKey( time, values, easing )
+	{
+		var key = {
+			time     : time,
+			positionX: values.positionX,
+			positionY: values.positionY,
+			rotation : values.rotation,
+			scale    : values.scale,
+			easing   : easing || "linear",
+		};
+		for ( var i=0; i<this.keys.length; ++i ) {
+			if ( Math.abs( this.keys[i].time - time ) < 1e-6 ) {
+				this.keys[i] = key;
+				return key;
+			}
+		}
+		this.keys.push( key );
+		this.sort();
+		return key;
+	}
+
+	removeKey( key )
+	{
+		var i = this.keys.indexOf( key );
+		if ( i >= 0 ) this.keys.splice( i, 1 );
+	}
+
+	// Restores the order of the keys after their times have been changed
+	sort()
+	{
+		this.keys.sort( function( a, b ) { return a.time - b.time; } );
+	}
+
+	// Returns the interpolated { positionX, positionY, rotation, scale } at the given time, or null without keys.
+	// Before the first key and after the last one, the values of those keys hold.
+	valuesAt( time )
+	{
+		var keys = this.keys;
+		if ( keys.length == 0 ) return null;
+		var i = 0;
+		while ( i < keys.length - 1 && keys[i+1].time <= time ) i++;
+		var a = keys[i];
+		var b = keys[ Math.min( i+1, keys.length-1 ) ];
+		var k = 0;
+		if ( b.time > a.time && time > a.time ) {
+			var ease = GetEasing( a.easing ) || easings.linear;
+			k = ease( Math.min( ( time - a.time ) / ( b.time - a.time ), 1 ) );
+		}
+		return {
+			positionX: a.positionX + ( b.positionX - a.positionX ) * k,
+			positionY: a.positionY + ( b.positionY - a.positionY ) * k,
+			rotation : a.rotation  + AngleDifference( b.rotation, a.rotation ) * k,
+			scale    : a.scale     + ( b.scale     - a.scale     ) * k,
+		};
+	}
+
+	// Returns the transformation matrix at the given time, or null without keys
+	matrixAt( time )
+	{
+		var v = this.valuesAt( time );
+		return v && GetTransform( v.positionX, v.positionY, v.rotation, v.scale );
+	}
+}
+
+class Timeline
+{
+	constructor( duration )
+	{
+		this.tracks   = {};	// node name -> KeyframeTrack
+		this.duration = duration || 10;	// seconds
+		this.time     = 0;
+		this.playing  = false;
+		this.enabled  = false;	// whether apply() animates the nodes
+	}
+
+	// Returns the track of the named node, creating it if needed
+	track( name )
+	{
+		return this.tracks[ name ] = this.tracks[ name ] || new KeyframeTrack( name );
+	}
+
+	// Advances the playback by dt seconds, looping at the end
+	update( dt )
+	{
+		if ( ! this.playing ) return;
+		this.time += dt;
+		if ( this.time >= this.duration ) this.time %= this.duration;
+	}
+
+	seek( time )
+	{
+		this.time = Math.min( Math.max( time, 0 ), this.duration );
+	}
+
+	// Sets the local transformations of the animated nodes under root to the current frame
+	apply( root )
+	{
+		if ( ! this.enabled ) return;
+		for ( var name in this.tracks ) {
+			var m = this.tracks[ name ].matrixAt( this.time );
+			var node = m && root.find( name );
+			if ( node ) node.setLocal( m );
+		}
+	}
+}
@@ -0,0 +1,41 @@
+// Web worker that parses obj files for ObjLoader off the main thread.
+//
+// Messages from the page:
+//   { type:"load", file, output }
+//       Parses the File. The output is "buffers" for the vertex buffers or "mesh" for the fields of an ObjMesh.
+// Messages to the page:
+//   { type:"progress", loaded, total }   the number of bytes parsed so far and the size of the file
+//   { type:"done", buffers }             the result of ObjStreamParser.getVertexBuffers() with the bounding box in box
+//                                        and the file names of the material libraries in mtllibs
+//   { type:"done", mesh }                the typed arrays of ObjStreamParser.getMeshArrays(), which ObjMesh.fromArrays()
+//                                        turns into an ObjMesh
+//   { type:"error", message }            the file could not be read
+// The page cancels a load by terminating the worker.
+
+importScripts('obj.js');
+
+onmessage = function(e) {
+	var msg = e.data;
+	switch ( msg.type ) {
+		case "load":
+			var parser = new ObjStreamParser;
+			ParseObjFile( msg.file, parser,
+				function( loaded, total ) {
+					postMessage( { type:"progress", loaded:loaded, total:total } );
+				},
+				function( error ) {
+					if ( error ) {
+						postMessage( { type:"error", message:error } );
+					} else if ( msg.output == "mesh" ) {
+						var mesh = parser.getMeshArrays();
+						postMessage( { type:"done", mesh:mesh }, [ mesh.vpos.buffer, mesh.tpos.buffer, mesh.norm.buffer, mesh.face.buffer, mesh.tfac.buffer, mesh.nfac.buffer, mesh.poly.buffer ] );
+					} else {
+						var buffers = parser.getVertexBuffers();
+						buffers.box = parser.getBoundingBox();
+						buffers.mtllibs = parser.mtllibs.slice();
+						postMessage( { type:"done", buffers:buffers }, [ buffers.positionBuffer.buffer, buffers.texCoordBuffer.buffer, buffers.normalBuffer.buffer ] );
+					}
+				});
+			break;
+	}
+};
@@ -10,6 +10,36 @@ class ObjMesh
 		this.tfac = [];	// face texture coordinate indices
 		this.norm = [];	// surface normals
 		this.nfac = [];	// face surface normal indices
+		this.mtllibs   = [];	// file names of the material libraries
+		this.materials = {};	// materials by name, read from the material libraries with parseMtl()
+		this.groups    = [];	// runs of consecutive faces with the same object, group and material
+		this.untriangulated = [];	// indices of the faces of the file that ObjStreamParser.getMesh() split as fans
+		this.poly = [];	// the index of the face of the file that each face was split from, empty if the faces were not split
+	}
+	
+	// Returns an ObjMesh with the typed arrays of ObjStreamParser.getMeshArrays(), with a nested array for each element.
+	// The faces that have no texture coordinates or normals have no entry in tfac or nfac.
+	static fromArrays( arrays )
+	{
+		function split( array, size, keep ) {
+			var list = [];
+			for ( var i=0; i<array.length; i+=size ) {
+				if ( ! keep || array[i] >= 0 ) list.push( Array.from( array.subarray( i, i+size ) ) );
+			}
+			return list;
+		}
+		var mesh = new ObjMesh;
+		mesh.vpos = split( arrays.vpos, 3 );
+		mesh.tpos = split( arrays.tpos, 2 );
+		mesh.norm = split( arrays.norm, 3 );
+		mesh.face = split( arrays.face, 3 );
+		mesh.tfac = split( arrays.tfac, 3, true );
+		mesh.nfac = split( arrays.nfac, 3, true );
+		mesh.mtllibs = arrays.mtllibs;
+		mesh.groups  = arrays.groups;
+		mesh.untriangulated = arrays.untriangulated;
+		mesh.poly = Array.from( arrays.poly );
+		return mesh;
 	}
 	
 	// Reads the obj file at the given URL and parses it.
@@ -26,8 +56,11 @@ class ObjMesh
 	}
 	
 	// Parses the contents of an obj file.
+	// The faces are also split into groups of { object, group, material, first, count }, where first is the
+	// index of the first face and count the number of faces. The material is null before the first usemtl line.
 	parse( objdata )
 	{
+		var object = "", group = "", material = null;
 		var lines = objdata.split('\n');
 		for ( var i=0; i<lines.length; ++i ) {
 			var line = lines[i].trim();
@@ -71,11 +104,110 @@ class ObjMesh
 					this.face.push(f);
 					if ( tf.length ) this.tfac.push(tf);
 					if ( nf.length ) this.nfac.push(nf);
+					var last = this.groups[ this.groups.length-1 ];
+					if ( last && last.object == object && last.group == group && last.material == material ) {
+						last.count++;
+					} else {
+						this.groups.push( { object: object, group: group, material: material, first: this.face.length-1, count: 1 } );
+					}
+					break;
+				case 'o':
+					if ( elem[0] == 'o' ) object = elem.slice(1).join(' ');
+					break;
+				case 'g':
+					if ( elem[0] == 'g' ) group = elem.slice(1).join(' ');
+					break;
+				case 'u':
+					if ( elem[0] == 'usemtl' ) material = elem.slice(1).join(' ');
+					break;
+				case 'm':
+					if ( elem[0] == 'mtllib' ) this.mtllibs.push( ...elem.slice(1) );
 					break;
 			}
 		}
 	}
 	
+	// Parses the contents of an mtl file and adds its materials to this.materials.
+	// Each material has the diffuse color Kd, the specular color Ks, the specular exponent Ns, the opacity d,
+	// and the file names of the diffuse texture map_Kd and the bump map map_Bump, which are null if not given.
+	parseMtl( mtldata )
+	{
+		var mtl = null;
+		var lines = mtldata.split('\n');
+		for ( var i=0; i<lines.length; ++i ) {
+			var line = lines[i].trim();
+			var elem = line.split(/\s+/);
+			if ( elem[0] == 'newmtl' ) {
+				mtl = { Kd: [0.8,0.8,0.8], Ks: [0,0,0], Ns: 0, d: 1, map_Kd: null, map_Bump: null };
+				this.materials[ elem.slice(1).join(' ') ] = mtl;
+				continue;
+			}
+			if ( ! mtl ) continue;
+			switch ( elem[0] ) {
+				case 'Kd':
+				case 'Ks':
+					var c = elem.slice(1,4).map( parseFloat );
+					mtl[ elem[0] ] = c.length < 3 ? [ c[0], c[0], c[0] ] : c;
+					break;
+				case 'Ns':
+					mtl.Ns = parseFloat(elem[1]);
+					break;
+				case 'd':
+					mtl.d = parseFloat(elem[1]);
+					break;
+				case 'Tr':
+					mtl.d = 1 - parseFloat(elem[1]);
+					break;
+				// The file name comes after any options of the map
+				case 'map_Kd':
+					mtl.map_Kd = elem[ elem.length-1 ];
+					break;
+				case 'map_Bump':
+				case 'map_bump':
+				case 'bump':
+					mtl.map_Bump = elem[ elem.length-1 ];
+					break;
+			}
+		}
+	}
+	
+	// Returns the faces of each material as a list of { material, properties, faces }, in the order the materials are first used.
+	// properties is the material of that name in this.materials, or null if no material library defines it.
+	getMaterialFaces()
+	{
+		var lists = new Map();
+		var materials = this.materials;
+		function add( material, fi ) {
+			if ( ! lists.has( material ) ) {
+				var properties = materials.hasOwnProperty( material ) ? materials[ material ] : null;
+				lists.set( material, { material: material, properties: properties, faces: [] } );
+			}
+			lists.get( material ).faces.push( fi );
+		}
+		var n = 0;
+		for ( var g=0; g<this.groups.length; ++g ) {
+			var grp = this.groups[g];
+			for ( var i=grp.first; i<grp.first+grp.count && i<this.face.length; ++i ) add( grp.material, i );
+			n = Math.max( n, grp.first + grp.count );
+		}
+		// Faces added without parse() have no material
+		for ( var i=n; i<this.face.length; ++i ) add( null, i );
+		return Array.from( lists.values() );
+	}
+	
+	// Returns the triangles of face fi as triples of indices into the vertex list of the face.
+	// A face that cannot be triangulated is split as a fan around its first vertex and added to the failed list, if given.
+	triangulateFace( fi, failed )
+	{
+		var f = this.face[fi];
+		var triangles = TriangulatePolygon( f.map( function(v) { return this.vpos[v]; }, this ) );
+		if ( triangles ) return triangles;
+		if ( failed ) failed.push( fi );
+		triangles = [];
+		for ( var j=2; j<f.length; ++j ) triangles.push( [ 0, j-1, j ] );
+		return triangles;
+	}
+	
 	// Returns the bounding box of the object
 	getBoundingBox()
 	{
@@ -100,6 +232,101 @@ class ObjMesh
 		}
 	}
 	
+	// Computes the vertex normals from the faces and replaces norm and nfac with them.
+	// The normals of the faces around a vertex are weighted by the weighting, which is "uniform" (the default),
+	// "angle" for the angle of the face at the vertex or "area" for the area of the face. A face is only smoothed
+	// with the faces whose normals are within creaseAngle degrees of its own (180 by default), so that the vertices
+	// on sharper edges are split. Faces with no area do not add to the normals.
+	// The faces that were split from the same face of the file, as listed in poly, count as that one polygon: they share
+	// its Newell normal and area, and add to the normal of each of its vertices once.
+	computeNormals( weighting, creaseAngle )
+	{
+		function sub( a, b ) {
+			return [ a[0]-b[0], a[1]-b[1], a[2]-b[2] ];
+		}
+
+		function dot( a, b ) {
+			return a[0]*b[0] + a[1]*b[1] + a[2]*b[2];
+		}
+
+		function cross( a, b ) {
+			return [ a[1]*b[2]-a[2]*b[1], a[2]*b[0]-a[0]*b[2], a[0]*b[1]-a[1]*b[0] ];
+		}
+		
+		function normalize( a ) {
+			var len = Math.sqrt( dot(a,a) );
+			return len > 0 ? [ a[0]/len, a[1]/len, a[2]/len ] : [ 0, 0, 0 ];
+		}
+		
+		var minCos = Math.cos( ( creaseAngle === undefined ? 180 : creaseAngle ) * Math.PI/180 ) - 1e-6;
+
+		// The normals of the polygons with Newell's method, which for a polygon split into faces is the sum over its faces
+		var poly = this.poly.length ? this.poly : null;
+		var polyNormals = new Map();	// polygon -> twice its area vector
+		for ( var i=0; i<this.face.length; ++i ) {
+			var f = this.face[i];
+			var p = poly ? poly[i] : i;
+			var n = polyNormals.get( p ) || [ 0, 0, 0 ];
+			for ( var j=0; j<f.length; ++j ) {
+				var c = cross( this.vpos[ f[j] ], this.vpos[ f[ (j+1) % f.length ] ] );
+				n = [ n[0]+c[0], n[1]+c[1], n[2]+c[2] ];
+			}
+			polyNormals.set( p, n );
+		}
+
+		// The unit normal of the polygon of each face, and the polygons around each vertex with their weights.
+		// The angle of a polygon at a vertex is the sum of the angles of its faces there.
+		var faceNormals = [];
+		var around = this.vpos.map( function() { return new Map(); } );	// polygon -> { normal, weight }
+		for ( var i=0; i<this.face.length; ++i ) {
+			var f = this.face[i];
+			var p = poly ? poly[i] : i;
+			var n = polyNormals.get( p );
+			var area = Math.sqrt( dot(n,n) ) / 2;
+			faceNormals.push( area > 0 ? normalize(n) : null );
+			if ( ! ( area > 0 ) ) continue;
+			for ( var j=0; j<f.length; ++j ) {
+				var a = around[ f[j] ].get( p );
+				if ( ! a ) {
+					a = { normal: faceNormals[i], weight: 0 };
+					around[ f[j] ].set( p, a );
+				}
+				if ( weighting == "angle" ) {
+					var e0 = sub( this.vpos[ f[ (j+f.length-1) % f.length ] ], this.vpos[ f[j] ] );
+					var e1 = sub( this.vpos[ f[ (j+1) % f.length ] ], this.vpos[ f[j] ] );
+					a.weight += Math.atan2( Math.sqrt( dot( cross(e0,e1), cross(e0,e1) ) ), dot(e0,e1) );
+				} else {
+					a.weight = weighting == "area" ? area : 1;
+				}
+			}
+		}
+
+		// The normal of each corner of a face, shared by the corners of the vertex that get the same normal
+		this.norm = [];
+		this.nfac = [];
+		var ids = new Map();	// "vertex normal" -> index in norm
+		for ( var i=0; i<this.face.length; ++i ) {
+			var f = this.face[i];
+			var fn = faceNormals[i];
+			var nf = [];
+			for ( var j=0; j<f.length; ++j ) {
+				var n = [ 0, 0, 0 ];
+				around[ f[j] ].forEach( function( a ) {
+					if ( fn && dot( fn, a.normal ) < minCos ) return;
+					n = [ n[0] + a.normal[0]*a.weight, n[1] + a.normal[1]*a.weight, n[2] + a.normal[2]*a.weight ];
+				});
+				n = normalize(n);
+				var key = f[j] + ' ' + n.map( function(x) { return x.toFixed(6); } ).join(' ');
+				if ( ! ids.has( key ) ) {
+					ids.set( key, this.norm.length );
+					this.norm.push( n );
+				}
+				nf.push( ids.get( key ) );
+			}
+			this.nfac.push( nf );
+		}
+	}
+	
 	addTriangleToBuffers( vBuffer, tBuffer, nBuffer, fi, i, j, k )
 	{
 		var f  = this.face[fi];
@@ -134,21 +361,501 @@ class ObjMesh
 		buffer.push( v[f[i]][1] );
 	}
 
+	// The triangles are ordered by material, and drawRanges lists the { material, properties, start, count } vertices of each
+	// material, where properties is the material of getMaterialFaces().
+	// untriangulated lists the indices of the faces that could not be triangulated and were split as fans.
 	getVertexBuffers()
 	{
 		var vBuffer = [];
 		var tBuffer = [];
 		var nBuffer = [];
+		var ranges  = [];
+		var failed  = [];
 		
-		for ( var i=0; i<this.face.length; ++i ) {
-			if ( this.face[i].length < 3 ) continue;
-			this.addTriangleToBuffers( vBuffer, tBuffer, nBuffer, i, 0, 1, 2 );
-			for ( var j=3; j<this.face[i].length; ++j ) {
-				this.addTriangleToBuffers( vBuffer, tBuffer, nBuffer, i, 0, j-1, j );
+		var materials = this.getMaterialFaces();
+		for ( var m=0; m<materials.length; ++m ) {
+			var start = vBuffer.length / 3;
+			var faces = materials[m].faces;
+			for ( var n=0; n<faces.length; ++n ) {
+				var i = faces[n];
+				var triangles = this.triangulateFace( i, failed );
+				for ( var j=0; j<triangles.length; ++j ) {
+					this.addTriangleToBuffers( vBuffer, tBuffer, nBuffer, i, ...triangles[j] );
+				}
 			}
+			ranges.push( { material: materials[m].material, properties: materials[m].properties, start: start, count: vBuffer.length/3 - start } );
 		}
 		
-		return { positionBuffer: vBuffer, texCoordBuffer: tBuffer, normalBuffer: nBuffer };
+		return { positionBuffer: vBuffer, texCoordBuffer: tBuffer, normalBuffer: nBuffer, drawRanges: ranges, untriangulated: failed };
 	}
 	
 }
+
+// Splits a polygon into triangles by ear clipping on its best-fit plane. The points are the [x,y,z] positions
+// of its vertices in order. Returns triples of indices into points with the winding of the polygon, or null if
+// the polygon has no area or crosses itself. The vertices on a straight edge are kept, since the neighbouring face
+// usually shares them and leaving them out would crack the surface there. Only repeated vertices and the tips of
+// spikes with no width may be left out.
+function TriangulatePolygon( points )
+{
+	var n = points.length;
+	if ( n < 3 ) return [];
+	if ( n == 3 ) return [ [ 0, 1, 2 ] ];
+
+	// The normal of the best-fit plane with Newell's method, and two axes on the plane with u x v = normal
+	var nx = 0, ny = 0, nz = 0;
+	for ( var i=0; i<n; ++i ) {
+		var a = points[i];
+		var b = points[ (i+1) % n ];
+		nx += ( a[1] - b[1] ) * ( a[2] + b[2] );
+		ny += ( a[2] - b[2] ) * ( a[0] + b[0] );
+		nz += ( a[0] - b[0] ) * ( a[1] + b[1] );
+	}
+	var len = Math.sqrt( nx*nx + ny*ny + nz*nz );
+	if ( ! ( len > 0 ) ) return null;
+	nx /= len; ny /= len; nz /= len;
+	var u = Math.abs( nx ) < 0.9 ? [ 0, nz, -ny ] : [ -nz, 0, nx ];
+	var ul = Math.sqrt( u[0]*u[0] + u[1]*u[1] + u[2]*u[2] );
+	u = [ u[0]/ul, u[1]/ul, u[2]/ul ];
+	var v = [ ny*u[2] - nz*u[1], nz*u[0] - nx*u[2], nx*u[1] - ny*u[0] ];
+
+	// The polygon on the plane winds counterclockwise
+	var p = points.map( function( q ) {
+		return [ q[0]*u[0] + q[1]*u[1] + q[2]*u[2], q[0]*v[0] + q[1]*v[1] + q[2]*v[2] ];
+	});
+	var size = 0;
+	for ( var i=1; i<n; ++i ) size = Math.max( size, Math.abs( p[i][0] - p[0][0] ), Math.abs( p[i][1] - p[0][1] ) );
+	var eps = 1e-10 * size * size;	// areas below this are zero
+	if ( ! ( len/2 > eps ) ) return null;
+	function area( a, b, c ) {
+		return ( p[b][0] - p[a][0] ) * ( p[c][1] - p[a][1] ) - ( p[b][1] - p[a][1] ) * ( p[c][0] - p[a][0] );
+	}
+	function same( a, b ) {
+		var dx = p[a][0] - p[b][0], dy = p[a][1] - p[b][1];
+		return dx*dx + dy*dy <= eps;
+	}
+	function spike( a, b, c ) {	// a and c are on the same side of b
+		return ( p[a][0] - p[b][0] ) * ( p[c][0] - p[b][0] ) + ( p[a][1] - p[b][1] ) * ( p[c][1] - p[b][1] ) > 0;
+	}
+
+	var idx = [];	// the vertices that are left
+	for ( var i=0; i<n; ++i ) {
+		if ( idx.length == 0 || ! same( i, idx[ idx.length-1 ] ) ) idx.push( i );
+	}
+	if ( idx.length > 1 && same( idx[0], idx[ idx.length-1 ] ) ) idx.pop();
+
+	var triangles = [];
+	while ( idx.length > 3 ) {
+		var m = idx.length;
+		var clipped = false;
+
+		// Repeated vertices and the tips of spikes are left out before any ear can reach over them
+		for ( var k=0; k<m && ! clipped; ++k ) {
+			var a = idx[ (k+m-1) % m ];
+			var b = idx[k];
+			var c = idx[ (k+1) % m ];
+			if ( same( a, b ) || ( Math.abs( area( a, b, c ) ) <= eps && spike( a, b, c ) ) ) {
+				idx.splice( k, 1 );
+				clipped = true;
+			}
+		}
+
+		// A vertex on a straight edge is not an ear, and it ends up in the ear of one of its neighbours
+		for ( var k=0; k<m && ! clipped; ++k ) {
+			var a = idx[ (k+m-1) % m ];
+			var b = idx[k];
+			var c = idx[ (k+1) % m ];
+			if ( area( a, b, c ) > eps ) {
+				// An ear has no other vertex inside it or on its edges
+				var ear = true;
+				for ( var j=0; j<m && ear; ++j ) {
+					var d = idx[j];
+					if ( same( d, a ) || same( d, b ) || same( d, c ) ) continue;
+					if ( area( a, b, d ) >= -eps && area( b, c, d ) >= -eps && area( c, a, d ) >= -eps ) ear = false;
+				}
+				if ( ear ) {
+					triangles.push( [ a, b, c ] );
+					idx.splice( k, 1 );
+					clipped = true;
+				}
+			}
+		}
+		if ( ! clipped ) return null;
+	}
+	if ( idx.length == 3 ) {
+		var abc = area( idx[0], idx[1], idx[2] );
+		if ( abc < -eps ) return null;	// the rest winds the other way
+		if ( abc > eps ) triangles.push( idx );
+	}
+	return triangles;
+}
+
+// Parses an obj file into typed arrays as its text arrives in chunks, so that large files can be parsed
+// without holding all their lines or an array for each vertex. The polygons are split into triangles
+// with TriangulatePolygon(), like getVertexBuffers() does.
+class ObjStreamParser
+{
+	constructor()
+	{
+		this.vpos = new Float32Array( 3*1024 );	// vertex positions, 3 per vertex
+		this.tpos = new Float32Array( 2*1024 );	// texture coordinates, 2 per vertex
+		this.norm = new Float32Array( 3*1024 );	// surface normals, 3 per normal
+		this.face = new Uint32Array( 3*1024 );	// vertex indices, 3 per triangle
+		this.tfac = new Int32Array( 3*1024 );	// texture coordinate indices, -1 where the face has none
+		this.nfac = new Int32Array( 3*1024 );	// surface normal indices, -1 where the face has none
+		this.poly = new Uint32Array( 1024 );	// the index of the face of the file that each triangle was split from
+		this.vposCount = 0;
+		this.tposCount = 0;
+		this.normCount = 0;
+		this.faceCount = 0;	// triangles
+		this.mtllibs = [];	// file names of the material libraries
+		this.groups  = [];	// runs of consecutive triangles as in ObjMesh.groups
+		this.faceIndex = 0;	// the number of faces in the file so far
+		this.untriangulated = [];	// indices of the faces that could not be triangulated and were split as fans
+		this.object = "";
+		this.group  = "";
+		this.material = null;
+		this.rest = "";	// the unfinished line at the end of the last chunk
+	}
+
+	// Parses the next chunk of the file. The last chunk must be marked, so that its last line is not left unfinished.
+	parse( text, last )
+	{
+		var lines = ( this.rest + text ).split('\n');
+		this.rest = last ? "" : lines.pop();
+		for ( var i=0; i<lines.length; ++i ) this.parseLine( lines[i] );
+	}
+
+	parseLine( line )
+	{
+		var elem = line.trim().split(/\s+/);
+		switch ( elem[0] ) {
+			case 'v':
+				this.vpos = ObjStreamParser.reserve( this.vpos, this.vposCount*3 + 3 );
+				for ( var j=0; j<3; ++j ) this.vpos[ this.vposCount*3 + j ] = parseFloat(elem[j+1]);
+				this.vposCount++;
+				break;
+			case 'vt':
+				this.tpos = ObjStreamParser.reserve( this.tpos, this.tposCount*2 + 2 );
+				for ( var j=0; j<2; ++j ) this.tpos[ this.tposCount*2 + j ] = parseFloat(elem[j+1]);
+				this.tposCount++;
+				break;
+			case 'vn':
+				this.norm = ObjStreamParser.reserve( this.norm, this.normCount*3 + 3 );
+				for ( var j=0; j<3; ++j ) this.norm[ this.normCount*3 + j ] = parseFloat(elem[j+1]);
+				this.normCount++;
+				break;
+			case 'f':
+				var f=[], tf=[], nf=[];
+				for ( var j=1; j<elem.length; ++j ) {
+					var ids = elem[j].split('/');
+					var vid = parseInt(ids[0]);
+					if ( vid < 0 ) vid = this.vposCount + vid + 1;
+					f.push( vid - 1 );
+					var tid = ids.length > 1 && ids[1] !== "" ? parseInt(ids[1]) : 0;
+					if ( tid < 0 ) tid = this.tposCount + tid + 1;
+					tf.push( tid - 1 );
+					var nid = ids.length > 2 && ids[2] !== "" ? parseInt(ids[2]) : 0;
+					if ( nid < 0 ) nid = this.normCount + nid + 1;
+					nf.push( nid - 1 );
+				}
+				var points = f.map( function(v) { return Array.from( this.vpos.subarray( v*3, v*3+3 ) ); }, this );
+				var triangles = TriangulatePolygon( points );
+				if ( ! triangles ) {
+					this.untriangulated.push( this.faceIndex );
+					triangles = [];
+					for ( var j=2; j<f.length; ++j ) triangles.push( [ 0, j-1, j ] );
+				}
+				for ( var j=0; j<triangles.length; ++j ) this.addTriangle( f, tf, nf, ...triangles[j] );
+				this.faceIndex++;
+				break;
+			case 'o':
+				this.object = elem.slice(1).join(' ');
+				break;
+			case 'g':
+				this.group = elem.slice(1).join(' ');
+				break;
+			case 'usemtl':
+				this.material = elem.slice(1).join(' ');
+				break;
+			case 'mtllib':
+				this.mtllibs.push( ...elem.slice(1) );
+				break;
+		}
+	}
+
+	addTriangle( f, tf, nf, i, j, k )
+	{
+		var n = this.faceCount * 3;
+		this.face = ObjStreamParser.reserve( this.face, n + 3 );
+		this.tfac = ObjStreamParser.reserve( this.tfac, n + 3 );
+		this.nfac = ObjStreamParser.reserve( this.nfac, n + 3 );
+		this.poly = ObjStreamParser.reserve( this.poly, this.faceCount + 1 );
+		this.face[n] = f[i];  this.face[n+1] = f[j];  this.face[n+2] = f[k];
+		this.tfac[n] = tf[i]; this.tfac[n+1] = tf[j]; this.tfac[n+2] = tf[k];
+		this.nfac[n] = nf[i]; this.nfac[n+1] = nf[j]; this.nfac[n+2] = nf[k];
+		this.poly[ this.faceCount ] = this.faceIndex;
+		this.faceCount++;
+		var last = this.groups[ this.groups.length-1 ];
+		if ( last && last.object == this.object && last.group == this.group && last.material == this.material ) {
+			last.count++;
+		} else {
+			this.groups.push( { object: this.object, group: this.group, material: this.material, first: this.faceCount-1, count: 1 } );
+		}
+	}
+
+	// Returns the array, or a copy twice as long if it is shorter than size
+	static reserve( array, size )
+	{
+		if ( array.length >= size ) return array;
+		var a = new array.constructor( Math.max( size, array.length*2 ) );
+		a.set( array );
+		return a;
+	}
+
+	// Returns the bounding box of the object
+	getBoundingBox()
+	{
+		if ( this.vposCount == 0 ) return null;
+		var min = [ this.vpos[0], this.vpos[1], this.vpos[2] ];
+		var max = [ this.vpos[0], this.vpos[1], this.vpos[2] ];
+		for ( var i=3; i<this.vposCount*3; i+=3 ) {
+			for ( var j=0; j<3; ++j ) {
+				if ( min[j] > this.vpos[i+j] ) min[j] = this.vpos[i+j];
+				if ( max[j] < this.vpos[i+j] ) max[j] = this.vpos[i+j];
+			}
+		}
+		return { min: min, max: max };
+	}
+
+	// Returns the buffers of ObjMesh.getVertexBuffers() as Float32Arrays. The texture coordinate and normal
+	// buffers are empty if the file has none, and hold zeros for the faces without them.
+	// The properties of the drawRanges are null, since the parser does not read the material libraries.
+	getVertexBuffers()
+	{
+		var n = this.faceCount * 3;
+		var vBuffer = new Float32Array( n*3 );
+		var tBuffer = new Float32Array( this.tposCount ? n*2 : 0 );
+		var nBuffer = new Float32Array( this.normCount ? n*3 : 0 );
+		var ranges  = [];
+
+		// The triangles of each material, in the order the materials are first used
+		var materials = new Map();
+		for ( var g=0; g<this.groups.length; ++g ) {
+			var grp = this.groups[g];
+			if ( ! materials.has( grp.material ) ) materials.set( grp.material, [] );
+			materials.get( grp.material ).push( grp );
+		}
+		var v = 0;
+		materials.forEach( function( groups, material ) {
+			var start = v;
+			for ( var g=0; g<groups.length; ++g ) {
+				for ( var c=groups[g].first*3; c<(groups[g].first+groups[g].count)*3; ++c, ++v ) {
+					var vi = this.face[c] * 3;
+					vBuffer[v*3] = this.vpos[vi]; vBuffer[v*3+1] = this.vpos[vi+1]; vBuffer[v*3+2] = this.vpos[vi+2];
+					var ti = this.tfac[c] * 2;
+					if ( ti >= 0 && tBuffer.length ) { tBuffer[v*2] = this.tpos[ti]; tBuffer[v*2+1] = this.tpos[ti+1]; }
+					var ni = this.nfac[c] * 3;
+					if ( ni >= 0 && nBuffer.length ) { nBuffer[v*3] = this.norm[ni]; nBuffer[v*3+1] = this.norm[ni+1]; nBuffer[v*3+2] = this.norm[ni+2]; }
+				}
+			}
+			ranges.push( { material: material, properties: null, start: start, count: v - start } );
+		}, this );
+
+		return { positionBuffer: vBuffer, texCoordBuffer: tBuffer, normalBuffer: nBuffer, drawRanges: ranges, untriangulated: this.untriangulated.slice() };
+	}
+
+	// Returns the parsed triangles as typed arrays with the values of the ObjMesh fields of the same names, three or two
+	// for each element, cut to their lengths, and the material libraries, groups and untriangulated faces of getMesh().
+	// Their buffers can be transferred from the worker to the page instead of copying an array for each vertex.
+	getMeshArrays()
+	{
+		return {
+			vpos: this.vpos.slice( 0, this.vposCount*3 ),
+			tpos: this.tpos.slice( 0, this.tposCount*2 ),
+			norm: this.norm.slice( 0, this.normCount*3 ),
+			face: this.face.slice( 0, this.faceCount*3 ),
+			tfac: this.tfac.slice( 0, this.faceCount*3 ),
+			nfac: this.nfac.slice( 0, this.faceCount*3 ),
+			poly: this.poly.slice( 0, this.faceCount ),
+			mtllibs: this.mtllibs.slice(),
+			groups : this.groups.map( function(g) { return Object.assign( {}, g ); } ),
+			untriangulated: this.untriangulated.slice(),
+		};
+	}
+
+	// Returns an ObjMesh with the parsed triangles. Its untriangulated list holds the faces that were split as fans.
+	getMesh()
+	{
+		return ObjMesh.fromArrays( this.getMeshArrays() );
+	}
+}
+
+// Reads the file in chunks and feeds them to the parser. progress( loaded, total ) is called after each chunk
+// with the number of bytes read, and done( error ) after the last chunk, with the error message if reading failed.
+// Returns a function that stops the reading.
+function ParseObjFile( file, parser, progress, done )
+{
+	var chunkSize = 1 << 20;
+	var decoder = new TextDecoder();	// keeps the characters that are split between chunks
+	var reader  = new FileReader();
+	var offset  = 0;
+	var stopped = false;
+	reader.onload = function() {
+		if ( stopped ) return;
+		offset = Math.min( offset + chunkSize, file.size );
+		var last = offset >= file.size;
+		parser.parse( decoder.decode( reader.result, { stream: ! last } ), last );
+		progress( offset, file.size );
+		if ( last ) done( null );
+		else readChunk();
+	};
+	reader.onerror = function() {
+		if ( ! stopped ) done( reader.error ? reader.error.message : "Cannot read " + file.name );
+	};
+	function readChunk() {
+		reader.readAsArrayBuffer( file.slice( offset, offset + chunkSize ) );
+	}
+	readChunk();
+	return function() {
+		stopped = true;
+		if ( reader.readyState == 1 ) reader.abort();
+	};
+}
+
+// Loads an obj file with ObjStreamParser in the web worker of obj_worker.js, or on the main thread if workers
+// are not available, for example when the page is opened from the file system.
+// The output is "buffers" for the result of ObjStreamParser.getVertexBuffers() with the bounding box of the
+// object in its box field, or "mesh" for an ObjMesh. The result is passed to onload, the number of bytes
+// read so far to onprogress and the error message to onerror.
+// The material libraries named by the mtllib lines of the file are read from the other files given to load(),
+// for example the ones picked together with the obj file, and parsed with ObjMesh.parseMtl(). The materials are
+// then in the materials field of the result, and the drawRanges of the buffers hold their properties as those of
+// ObjMesh.getVertexBuffers() do.
+class ObjLoader
+{
+	constructor()
+	{
+		this.onload     = null;
+		this.onprogress = null;
+		this.onerror    = null;
+		this.worker = null;
+		this.stop   = null;	// stops the parsing on the main thread or the reading of the material libraries
+		this.files  = [];	// the files to read the material libraries from
+	}
+
+	load( file, output, files )
+	{
+		this.cancel();
+		this.files = files ? Array.from( files ) : [];
+		try {
+			this.worker = new Worker('obj_worker.js');
+		} catch ( e ) {
+			console.log('Loading the obj file on the main thread: ' + e.message);
+			this.parse( file, output );
+			return;
+		}
+		this.worker.onmessage = function(e) {
+			var msg = e.data;
+			switch ( msg.type ) {
+				case "progress":
+					if ( this.onprogress ) this.onprogress( msg.loaded, msg.total );
+					break;
+				case "done":
+					this.worker.terminate();
+					this.worker = null;
+					this.loadMaterials( msg.buffers || ObjMesh.fromArrays( msg.mesh ) );
+					break;
+				case "error":
+					this.worker.terminate();
+					this.worker = null;
+					if ( this.onerror ) this.onerror( msg.message );
+					break;
+			}
+		}.bind(this);
+		this.worker.onerror = function(e) {
+			e.preventDefault();
+			console.log('Loading the obj file on the main thread: ' + e.message);
+			this.worker.terminate();
+			this.worker = null;
+			this.parse( file, output );
+		}.bind(this);
+		this.worker.postMessage( { type:"load", file:file, output:output } );
+	}
+
+	// Parses the file on the main thread. Reading it in chunks keeps the page responsive.
+	parse( file, output )
+	{
+		var parser = new ObjStreamParser;
+		this.stop = ParseObjFile( file, parser,
+			function( loaded, total ) {
+				if ( this.onprogress ) this.onprogress( loaded, total );
+			}.bind(this),
+			function( error ) {
+				this.stop = null;
+				if ( error ) {
+					if ( this.onerror ) this.onerror( error );
+					return;
+				}
+				var result = output == "mesh" ? parser.getMesh() : parser.getVertexBuffers();
+				if ( output != "mesh" ) {
+					result.box = parser.getBoundingBox();
+					result.mtllibs = parser.mtllibs.slice();
+				}
+				this.loadMaterials( result );
+			}.bind(this) );
+	}
+
+	// Reads the material libraries of the result from the files given to load() and then passes the result to onload.
+	// The libraries that are not among the files are skipped.
+	loadMaterials( result )
+	{
+		if ( ! ( result instanceof ObjMesh ) ) result.materials = {};
+		var libs = this.files.filter( function(f) { return result.mtllibs.indexOf( f.name ) >= 0; } );
+		var reader = new FileReader();
+		var next = function() {
+			if ( libs.length ) {
+				reader.readAsText( libs.shift() );
+				return;
+			}
+			this.stop = null;
+			if ( result.drawRanges ) {
+				for ( var i=0; i<result.drawRanges.length; ++i ) {
+					var range = result.drawRanges[i];
+					range.properties = result.materials.hasOwnProperty( range.material ) ? result.materials[ range.material ] : null;
+				}
+			}
+			if ( this.onload ) this.onload( result );
+		}.bind(this);
+		reader.onload = function() {
+			// parseMtl only needs the materials field, which the buffers have too
+			ObjMesh.prototype.parseMtl.call( result, reader.result );
+			next();
+		};
+		reader.onerror = function() {
+			this.stop = null;
+			if ( this.onerror ) this.onerror( reader.error ? reader.error.message : "Cannot read the material library" );
+		}.bind(this);
+		this.stop = function() {
+			reader.onload = reader.onerror = null;
+			if ( reader.readyState == 1 ) reader.abort();
+		};
+		next();
+	}
+
+	// Stops loading. Neither onload nor onerror is called for the file.
+	cancel()
+	{
+		if ( this.worker ) {
+			this.worker.terminate();
+			this.worker = null;
+		}
+		if ( this.stop ) {
+			this.stop();
+			this.stop = null;
+		}
+	}
+}
+
+// Node scripts can require this file to parse and triangulate obj files without a browser
+if ( typeof module !== "undefined" && module.exports ) module.exports = { ObjMesh, ObjStreamParser, TriangulatePolygon };
@@ -0,0 +1,154 @@
+// Tests of the vertex normals that ObjMesh.computeNormals() computes.
+// Run them from the homework_4 directory with
+//	node --test test/*.test.js
+const test = require( "node:test" );
+const assert = require( "node:assert" );
+const { ObjMesh, ObjStreamParser } = require( "../obj.js" );
+
+// Returns the mesh of the obj text, parsed by ObjMesh or, with the faces split into triangles, by ObjStreamParser
+function Parse( obj, stream ) {
+	if ( ! stream ) {
+		const mesh = new ObjMesh;
+		mesh.parse( obj );
+		return mesh;
+	}
+	const parser = new ObjStreamParser;
+	parser.parse( obj, true );
+	return parser.getMesh();
+}
+
+function Normalize( v ) {
+	const len = Math.hypot( ...v );
+	return v.map( ( x ) => x / len );
+}
+
+// Returns the normal of each vertex of the mesh, which all its corners must share
+function VertexNormals( mesh ) {
+	const normals = [];
+	mesh.face.forEach( ( f, i ) => f.forEach( ( v, j ) => {
+		const n = mesh.norm[ mesh.nfac[i][j] ];
+		if ( normals[v] ) AssertClose( n, normals[v], "the corners of vertex " + v + " have different normals" );
+		normals[v] = n;
+	}));
+	return normals;
+}
+
+function AssertClose( actual, expected, message ) {
+	for ( let i=0; i<expected.length; ++i ) {
+		if ( ! ( Math.abs( actual[i] - expected[i] ) < 1e-6 ) ) {
+			assert.fail( ( message ? message + ": " : "" ) + "[" + actual + "] instead of [" + expected + "]" );
+		}
+	}
+}
+
+// A quad on the xy plane and a triangle tilted by 45 degrees that share the vertex 2 (index 1)
+const quadAndTriangle = [
+	"v 0 0 0", "v 1 0 0", "v 1 1 0", "v 0 1 0", "v 2 0 1",
+	"f 1 2 3 4",
+	"f 2 5 3",
+].join( "\n" );
+const quadNormal = [ 0, 0, 1 ];
+const triangleNormal = Normalize( [ -1, 0, 1 ] );
+
+test.describe( "computeNormals weighting", () => {
+	test.it( "uniform weighting adds the normal of each polygon once", () => {
+		for ( const stream of [ false, true ] ) {
+			const mesh = Parse( quadAndTriangle, stream );
+			mesh.computeNormals( "uniform" );
+			AssertClose( VertexNormals( mesh )[1], Normalize( quadNormal.map( ( x, i ) => x + triangleNormal[i] ) ), stream ? "split into triangles" : "polygons" );
+		}
+	});
+
+	test.it( "angle weighting weights the normals by the angle of the polygon at the vertex", () => {
+		for ( const stream of [ false, true ] ) {
+			const mesh = Parse( quadAndTriangle, stream );
+			mesh.computeNormals( "angle" );
+			// The quad has a right angle at the vertex. The triangle has edges (1,0,1) and (0,1,0) there, which are also
+			// at a right angle, so the two normals are weighted equally. At vertex 3 the triangle has an angle of
+			// acos(1/sqrt(3)) between (1,-1,1) and (0,-1,0).
+			AssertClose( VertexNormals( mesh )[1], Normalize( quadNormal.map( ( x, i ) => x + triangleNormal[i] ) ) );
+			const angle = Math.acos( 1 / Math.sqrt(3) );
+			AssertClose( VertexNormals( mesh )[2], Normalize( quadNormal.map( ( x, i ) => x * Math.PI/2 + triangleNormal[i] * angle ) ) );
+		}
+	});
+
+	test.it( "area weighting weights the normals by the area of the polygon", () => {
+		for ( const stream of [ false, true ] ) {
+			const mesh = Parse( quadAndTriangle, stream );
+			mesh.computeNormals( "area" );
+			// The quad has an area of 1 and the triangle of sqrt(2)/2
+			const area = Math.SQRT2 / 2;
+			AssertClose( VertexNormals( mesh )[1], Normalize( quadNormal.map( ( x, i ) => x + triangleNormal[i] * area ) ) );
+		}
+	});
+
+	test.it( "gives the same normals for polygons and for their triangles", () => {
+		// A pentagon and a hexagon that share an edge at an angle of 90 degrees
+		const obj = [
+			"v 0 0 0", "v 2 0 0", "v 3 1 0", "v 2 2 0", "v 0 2 0",
+			"v 2 0 -1", "v 2 0 -2", "v 2 2 -2", "v 2 2 -1",
+			"f 1 2 3 4 5",
+			"f 4 9 8 7 6 2",
+		].join( "\n" );
+		for ( const weighting of [ "uniform", "angle", "area" ] ) {
+			const polygons = Parse( obj, false );
+			const triangles = Parse( obj, true );
+			assert.ok( triangles.face.length > polygons.face.length );
+			polygons.computeNormals( weighting );
+			triangles.computeNormals( weighting );
+			const expected = VertexNormals( polygons );
+			VertexNormals( triangles ).forEach( ( n, v ) => AssertClose( n, expected[v], weighting + " at vertex " + v ) );
+		}
+	});
+});
+
+test.describe( "computeNormals crease angle", () => {
+	const cube = [
+		"v 0 0 0", "v 1 0 0", "v 1 1 0", "v 0 1 0", "v 0 0 1", "v 1 0 1", "v 1 1 1", "v 0 1 1",
+		"f 1 4 3 2", "f 5 6 7 8", "f 1 2 6 5", "f 3 4 8 7", "f 1 5 8 4", "f 2 3 7 6",
+	].join( "\n" );
+	const faceNormals = [ [0,0,-1], [0,0,1], [0,-1,0], [0,1,0], [-1,0,0], [1,0,0] ];
+
+	test.it( "splits the vertices of a cube at its 90 degree edges", () => {
+		for ( const stream of [ false, true ] ) {
+			const mesh = Parse( cube, stream );
+			mesh.computeNormals( "angle", 60 );
+			assert.strictEqual( mesh.norm.length, 24 );
+			// Every corner gets the normal of its face
+			mesh.face.forEach( ( f, i ) => {
+				const expected = faceNormals[ stream ? mesh.poly[i] : i ];
+				for ( const n of mesh.nfac[i] ) AssertClose( mesh.norm[n], expected, "face " + i );
+			});
+		}
+	});
+
+	test.it( "smooths the cube when the crease angle is larger than 90 degrees", () => {
+		for ( const stream of [ false, true ] ) {
+			const mesh = Parse( cube, stream );
+			mesh.computeNormals( "uniform", 120 );
+			assert.strictEqual( mesh.norm.length, 8 );
+			VertexNormals( mesh ).forEach( ( n, v ) => {
+				const p = mesh.vpos[v];
+				AssertClose( n, Normalize( p.map( ( x ) => 2*x - 1 ) ), "vertex " + v );
+			});
+		}
+	});
+});
+
+test.describe( "computeNormals with faces that have no area", () => {
+	test.it( "gives no NaN normals", () => {
+		const obj = [
+			"v 0 0 0", "v 1 0 0", "v 0 1 0", "v 2 0 0", "v 3 0 0", "v 1 0 0",
+			"f 1 2 3",
+			"f 2 4 5",	// on a line
+			"f 1 2 6",	// two of its vertices at the same position
+		].join( "\n" );
+		for ( const weighting of [ "uniform", "angle", "area" ] ) {
+			const mesh = Parse( obj, false );
+			mesh.computeNormals( weighting );
+			for ( const n of mesh.norm ) assert.ok( n.every( Number.isFinite ), weighting + ": [" + n + "]" );
+			// The vertices of the triangle with an area only get its normal
+			for ( const n of mesh.nfac[0] ) AssertClose( mesh.norm[n], [ 0, 0, 1 ], weighting );
+		}
+	});
+});
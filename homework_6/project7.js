@@ -67,11 +67,18 @@ class MeshDrawer
         this.vertPosbuffer = gl.createBuffer();
         this.texcoordbuffer = gl.createBuffer();
         this.vertNormalbuffer = gl.createBuffer();
+        this.elementBuffer = gl.createBuffer();
+        
+        // Element indices above 65535 need 32-bit indices, which WebGL 1 supports with this extension
+        this.uintElements = gl.getExtension('OES_element_index_uint');
         
         // Create texture
         this.texture = gl.createTexture();
         
         this.numTriangles = 0;
+        this.numElements = 0;	// the triangles are drawn with drawElements if this is not zero
+        this.elementType = gl.UNSIGNED_SHORT;
+        this.expandedElements = null;	// the elements whose vertices are copied into the buffers, if they cannot be drawn with drawElements
     }
     
     // This method is called every time the user opens an OBJ file.
@@ -84,15 +91,36 @@ class MeshDrawer
 	// Similarly, every two consecutive elements in the texCoords array
 	// form the texture coordinate of a vertex and every three consecutive 
 	// elements in the normals array form a vertex normal.
+	// If the optional elements array is given, every three consecutive elements
+	// are the indices of the vertices of a triangle, as in getElementBuffers().
 	// Note that this method can be called multiple times.
-    setMesh(vertPos, texCoords, normals)
+    setMesh(vertPos, texCoords, normals, elements)
     {
 		// [TO-DO] Update the contents of the vertex buffer objects.
         this.numTriangles = vertPos.length / 3;
+        this.numElements = 0;
+        this.expandedElements = null;
+        if (elements && elements.length > 0) {
+            var maxIndex = 0;
+            for (var i = 0; i < elements.length; ++i) maxIndex = Math.max(maxIndex, elements[i]);
+            if (maxIndex < 65536 || this.uintElements) {
+                this.numElements = elements.length;
+                this.elementType = maxIndex < 65536 ? gl.UNSIGNED_SHORT : gl.UNSIGNED_INT;
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.elementBuffer);
+                gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, maxIndex < 65536 ? new Uint16Array(elements) : new Uint32Array(elements), gl.STATIC_DRAW);
+            } else {
+                // Without 32-bit indices, copy the vertices of each triangle
+                this.expandedElements = elements.slice();
+                vertPos = this.expandElements(vertPos, 3);
+                texCoords = this.expandElements(texCoords, 2);
+                normals = this.expandElements(normals, 3);
+                this.numTriangles = elements.length;
+            }
+        }
         
-        // Update the vertex position buffer
+        // Update the vertex position buffer. The positions and normals can change with updateMesh.
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertPosbuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertPos), gl.STATIC_DRAW);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertPos), gl.DYNAMIC_DRAW);
         
         // Update the texture coordinate buffer
         gl.bindBuffer(gl.ARRAY_BUFFER, this.texcoordbuffer);
@@ -100,7 +128,38 @@ class MeshDrawer
         
         // Update the vertex normal buffer
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertNormalbuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.DYNAMIC_DRAW);
+    }
+    
+    // This method is called to move the vertices of the mesh of the last setMesh call,
+    // for example every time step of a simulation. The arguments are the new vertex
+    // positions and normals, in the same layout and of the same size as for setMesh.
+    // The triangles and the texture coordinates stay the same, so only the contents
+    // of the position and normal buffers are replaced.
+    updateMesh(vertPos, normals)
+    {
+        if (this.expandedElements) {
+            vertPos = this.expandElements(vertPos, 3);
+            normals = this.expandElements(normals, 3);
+        }
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertPosbuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, vertPos instanceof Float32Array ? vertPos : new Float32Array(vertPos));
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertNormalbuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, normals instanceof Float32Array ? normals : new Float32Array(normals));
+    }
+    
+    // Returns the values of the vertices of each triangle of expandedElements, which are
+    // dim consecutive values of the buffer for every vertex.
+    expandElements(buffer, dim)
+    {
+        var elements = this.expandedElements;
+        var out = new Float32Array(elements.length * dim);
+        for (var i = 0; i < elements.length; ++i) {
+            for (var d = 0; d < dim; ++d) out[i*dim + d] = buffer[elements[i]*dim + d];
+        }
+        return out;
     }
     
     // This method is called when the user changes the state of the
@@ -148,7 +207,12 @@ class MeshDrawer
         gl.enableVertexAttribArray(this.vertTxc);
         
         // Draw the triangles
-        gl.drawArrays(gl.TRIANGLES, 0, this.numTriangles);
+        if (this.numElements > 0) {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.elementBuffer);
+            gl.drawElements(gl.TRIANGLES, this.numElements, this.elementType, 0);
+        } else {
+            gl.drawArrays(gl.TRIANGLES, 0, this.numTriangles);
+        }
     }
     
     // This method is called to set the texture of the mesh.
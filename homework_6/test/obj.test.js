@@ -0,0 +1,135 @@
+// Tests of the triangulation of obj faces and of the arrays the worker sends to the page.
+// Run them from the homework_6 directory with
+//	node --test test/*.test.js
+const test = require( "node:test" );
+const assert = require( "node:assert" );
+const { ObjMesh, ObjStreamParser, TriangulatePolygon } = require( "../obj.js" );
+
+// Returns the area of the triangles on the xy plane, which is negative for clockwise triangles
+function SignedArea( points, triangles ) {
+	let area = 0;
+	for ( const [ a, b, c ] of triangles ) {
+		const p = points[a], q = points[b], r = points[c];
+		area += ( ( q[0] - p[0] ) * ( r[1] - p[1] ) - ( q[1] - p[1] ) * ( r[0] - p[0] ) ) / 2;
+	}
+	return area;
+}
+
+// Checks that the triangles are counterclockwise, cover the given area and use exactly the given vertices
+function AssertTriangulation( points, triangles, area, vertices ) {
+	assert.ok( triangles, "the polygon was not triangulated" );
+	for ( const t of triangles ) assert.ok( SignedArea( points, [ t ] ) > 0, "triangle " + t + " is not counterclockwise" );
+	assert.ok( Math.abs( SignedArea( points, triangles ) - area ) < 1e-9, "area " + SignedArea( points, triangles ) );
+	assert.deepStrictEqual( [ ...new Set( triangles.flat() ) ].sort(), vertices );
+}
+
+test.describe( "TriangulatePolygon", () => {
+	test.it( "keeps a vertex at the midpoint of an edge", () => {
+		// It is the first vertex, so it is looked at before any ear is clipped
+		const quad = [ [1,0,0], [2,0,0], [2,2,0], [0,2,0], [0,0,0] ];
+		const triangles = TriangulatePolygon( quad );
+		AssertTriangulation( quad, triangles, 4, [ 0, 1, 2, 3, 4 ] );
+		assert.strictEqual( triangles.length, 3 );
+	});
+
+	test.it( "keeps the vertices on every edge of a triangle", () => {
+		const points = [ [1,0,0], [2,0,0], [1.5,1,0], [1,2,0], [0.5,1,0], [0,0,0] ];
+		AssertTriangulation( points, TriangulatePolygon( points ), 2, [ 0, 1, 2, 3, 4, 5 ] );
+	});
+
+	test.it( "keeps several vertices on the same edge of a concave polygon", () => {
+		const points = [ [1,0,0], [2,0,0], [3,0,0], [3,2,0], [1.5,1,0], [0,2,0], [0,0,0] ];
+		AssertTriangulation( points, TriangulatePolygon( points ), 4.5, [ 0, 1, 2, 3, 4, 5, 6 ] );
+	});
+
+	test.it( "leaves out repeated vertices", () => {
+		const points = [ [0,0,0], [2,0,0], [2,0,0], [2,2,0], [0,2,0] ];
+		AssertTriangulation( points, TriangulatePolygon( points ), 4, [ 0, 1, 3, 4 ] );
+	});
+
+	test.it( "leaves out the tip of a spike with no width", () => {
+		const points = [ [0,0,0], [2,0,0], [2,1,0], [3,1,0], [2,1,0], [2,2,0], [0,2,0] ];
+		// Vertex 4 repeats vertex 2 once the tip is left out
+		AssertTriangulation( points, TriangulatePolygon( points ), 4, [ 0, 1, 2, 5, 6 ] );
+	});
+
+	test.it( "triangulates a polygon that is not on the xy plane", () => {
+		// The quad with a midpoint rotated onto the plane x = y
+		const quad = [ [1,0,0], [2,0,0], [2,2,0], [0,2,0], [0,0,0] ].map( ( [ x, y ] ) => [ x / Math.SQRT2, x / Math.SQRT2, y ] );
+		const triangles = TriangulatePolygon( quad );
+		assert.ok( triangles );
+		assert.deepStrictEqual( [ ...new Set( triangles.flat() ) ].sort(), [ 0, 1, 2, 3, 4 ] );
+		assert.strictEqual( triangles.length, 3 );
+	});
+
+	test.it( "returns null for a polygon with no area", () => {
+		assert.strictEqual( TriangulatePolygon( [ [0,0,0], [1,0,0], [2,0,0], [3,0,0] ] ), null );
+	});
+});
+
+test.describe( "obj faces with a vertex on a shared edge", () => {
+	// A quad with a vertex at the midpoint of its right edge, and two triangles next to it that share that vertex.
+	// Leaving the midpoint out of the quad would leave a T-junction there.
+	const obj = [
+		"v 0 0 0", "v 2 0 0", "v 2 1 0", "v 2 2 0", "v 0 2 0", "v 3 0 0", "v 3 2 0",
+		"f 3 4 5 1 2",
+		"f 2 6 3",
+		"f 3 6 7 4",
+	].join( "\n" );
+
+	// Checks that every face uses all of its vertices
+	function AssertAllVertices( faces, triangles ) {
+		for ( let i=0; i<faces.length; ++i ) {
+			const used = new Set( triangles[i].flat() );
+			assert.strictEqual( used.size, faces[i].length, "face " + i + " leaves out a vertex" );
+		}
+	}
+
+	test.it( "ObjMesh keeps the shared vertex", () => {
+		const mesh = new ObjMesh;
+		mesh.parse( obj );
+		const failed = [];
+		const triangles = mesh.face.map( ( f, i ) => mesh.triangulateFace( i, failed ) );
+		assert.deepStrictEqual( failed, [] );
+		AssertAllVertices( mesh.face, triangles );
+	});
+
+	test.it( "ObjStreamParser keeps the shared vertex", () => {
+		const parser = new ObjStreamParser;
+		parser.parse( obj, true );
+		const mesh = parser.getMesh();
+		assert.deepStrictEqual( mesh.untriangulated, [] );
+		const used = new Set( mesh.face.flat() );
+		assert.deepStrictEqual( [ ...used ].sort(), [ 0, 1, 2, 3, 4, 5, 6 ] );
+		// The quad with the midpoint becomes 3 triangles, the triangle 1 and the other quad 2
+		assert.strictEqual( mesh.face.length, 6 );
+	});
+});
+
+test.describe( "ObjStreamParser.getMeshArrays", () => {
+	const obj = [
+		"v 0 0 0", "v 1 0 0", "v 1 1 0", "v 0 1 0",
+		"vt 0 0", "vt 1 0", "vt 1 1", "vt 0 1",
+		"vn 0 0 1",
+		"f 1/1/1 2/2/1 3/3/1",
+		"f 1/1/1 3/3/1 4/4/1",
+	].join( "\n" );
+
+	test.it( "transfers the arrays and rebuilds the mesh of ObjMesh.parse", () => {
+		const parser = new ObjStreamParser;
+		parser.parse( obj, true );
+		const arrays = parser.getMeshArrays();
+		const buffers = [ "vpos", "tpos", "norm", "face", "tfac", "nfac", "poly" ].map( ( name ) => arrays[ name ].buffer );
+		// The page gets the arrays like this from the worker
+		const received = structuredClone( arrays, { transfer: buffers } );
+		for ( const b of buffers ) assert.strictEqual( b.byteLength, 0, "the buffer was copied instead of transferred" );
+
+		const mesh = ObjMesh.fromArrays( received );
+		const expected = new ObjMesh;
+		expected.parse( obj );
+		for ( const name of [ "vpos", "tpos", "norm", "face", "tfac", "nfac" ] ) {
+			assert.deepStrictEqual( mesh[ name ], expected[ name ], name );
+		}
+		assert.deepStrictEqual( mesh, parser.getMesh() );
+	});
+});